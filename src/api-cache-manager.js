@@ -1,10 +1,153 @@
-import { revertCacheKeyRequest } from './utils.js';
+import {
+  revertCacheKeyRequest,
+  getNormalizedPathname,
+  cacheTagsHeader,
+  parseCacheTags,
+  describeRequest,
+  getCacheKeyParams,
+  storeResponse,
+  getGraphQLOperationFromCacheKey,
+  redactCacheKeyUrl,
+} from './utils.js';
 import { logger } from './logger.js';
+import { evaluateFreshness } from './cache-freshness.js';
+import { isWithinChangeScope } from './config-change-scope.js';
+import { compileRoutePattern, fillRoutePattern, matchRoute } from './route-matcher.js';
+import {
+  getEntryRecords,
+  putEntryRecords,
+  deleteEntryRecords,
+  clearEntryRecords,
+} from './cache-entry-index.js';
+import { encryptionKeyIdHeader, isEncryptedResponse, decryptResponse } from './cache-encryption.js';
+import { recordCacheEvent } from './cache-telemetry.js';
+import { createHar, toHarEntry, fromHarEntry } from './har-converter.js';
+import { resolveKeySettings, normalizeQueryParams } from './cache-key-normalizer.js';
 
 /**
  * @typedef {import('./cache-config-store.js').CacheConfigStore} CacheConfigStore
+ * @typedef {import('./cache-config-store.js').CacheStrategy} CacheStrategy
+ * @typedef {import('./cache-config-store.js').InvalidationRule} InvalidationRule
+ * @typedef {import('./config-change-scope.js').ConfigChangeScope} ConfigChangeScope
+ * @typedef {import('./route-matcher.js').CompiledRoute} CompiledRoute
+ * @typedef {import('./cache-config-store.js').EvictionPolicy} EvictionPolicy
+ * @typedef {import('./cache-config-store.js').StorageQuota} StorageQuota
+ * @typedef {import('./har-converter.js').Har} Har
+ * @typedef {import('./cache-entry-index.js').CacheEntryRecord} CacheEntryRecord
+ * @typedef {import('./cache-freshness.js').Freshness} Freshness
+ * @typedef {import('./cache-config-store.js').CacheKeySettings} CacheKeySettings
  */
 
+/**
+ * A cached entry as reported by `inspectEntries`.
+ *
+ * @typedef {Object} CacheEntryInfo
+ * @property {string} url The cache key URL with redacted key headers, identifying the entry (e.g. for `deleteEntry`)
+ * @property {string} method The method of the original request
+ * @property {string} requestUrl The URL of the original request, without the cache key params
+ * @property {Record<string, string>} keyParams The decoded cache key params (`body`, `method`, `header-*`),
+ * with the values of `header-*` params hashed
+ * @property {string | null} endpoint The matched endpoint pattern, or `null` if none matched
+ * @property {number | null} storedAt Timestamp (ms since epoch) when the entry was stored
+ * @property {Freshness | null} freshness The freshness verdict, or `null` if the entry is no longer configured
+ * @property {number} status The status of the cached response
+ * @property {string[]} tags The server-assigned cache tags
+ * @property {boolean} encrypted Whether the entry is encrypted at rest
+ * @property {number | null} size Size of the body in bytes, from the entry index
+ * @property {number | null} hits Number of times the entry was served, from the entry index
+ * @property {number | null} lastAccessedAt Timestamp (ms since epoch) of the last access, from the entry index
+ */
+
+/**
+ * Share of the origin's storage quota above which entries are evicted regardless of config limits.
+ */
+const storagePressureThreshold = 0.9;
+
+/**
+ * Share of the origin's storage quota that eviction under storage pressure frees space down to.
+ */
+const storagePressureTarget = 0.8;
+
+/**
+ * Compares index records so that the entries to evict first come first.
+ *
+ * @type {Record<EvictionPolicy, (a: CacheEntryRecord, b: CacheEntryRecord) => number>}
+ */
+const evictionOrder = {
+  lru: (a, b) => a.lastAccessedAt - b.lastAccessedAt,
+  lfu: (a, b) => a.hits - b.hits || a.lastAccessedAt - b.lastAccessedAt,
+};
+
+/**
+ * Selects cache entries to invalidate. Every given criterion must match.
+ *
+ * @typedef {Object} InvalidationSelector
+ * @property {string} [host] Origin of the entries (e.g. `'https://api.example.com'`)
+ * @property {string} [path] Endpoint pattern the entry's path must match (e.g. `'/tenants/:id/**'`)
+ * @property {string} [method] Method of the entries (e.g. `'GET'`)
+ * @property {Record<string, string>} [query] Query params the entries must have, with these values.
+ * Both are normalized by the `key` settings of the entry's endpoint, e.g. ignoring case where the key does
+ * @property {string[]} [tags] Server-assigned tags, of which the entries must have at least one
+ */
+
+/**
+ * Strategies that can still make use of an expired entry, so sweeps should not delete it.
+ * @type {CacheStrategy[]}
+ */
+const strategiesServingExpired = ['stale-while-revalidate', 'network-first'];
+
+/**
+ * Checks the URL-based criteria of a selector (all but `tags`) against an entry's original request.
+ *
+ * @param {InvalidationSelector} selector the selector
+ * @param {CompiledRoute | undefined} route the compiled `path` of the selector
+ * @param {Request} originalRequest the entry's request, as returned by `revertCacheKeyRequest`
+ * @param {CacheKeySettings} [keySettings] the `key` settings of the entry, normalizing `query` like the key
+ * @returns {boolean} `true` if the request matches
+ */
+function matchesSelector({ host, method, query }, route, originalRequest, keySettings) {
+  const url = new URL(originalRequest.url);
+
+  return (
+    (host === undefined || host === url.origin) &&
+    (method === undefined || method.toUpperCase() === originalRequest.method) &&
+    (!route || !!matchRoute([route], getNormalizedPathname(url))) &&
+    (!query || matchesQuery(query, url.searchParams, resolveKeySettings(keySettings)))
+  );
+}
+
+/**
+ * Checks that an entry has every query param of a selector, comparing both once normalized.
+ *
+ * @param {Record<string, string>} query the query params of the selector
+ * @param {URLSearchParams} searchParams the query params of the entry's original request
+ * @param {Required<CacheKeySettings>} keySettings the complete `key` settings of the entry
+ * @returns {boolean}
+ */
+function matchesQuery(query, searchParams, keySettings) {
+  const entryParams = normalizeQueryParams(searchParams, keySettings);
+
+  return normalizeQueryParams(new URLSearchParams(query), keySettings).every(([name, value]) =>
+    entryParams.some(([entryName, entryValue]) => entryName === name && entryValue === value)
+  );
+}
+
+/**
+ * Returns how many bytes must be freed to bring the origin's storage usage back under
+ * `storagePressureTarget`, if it is above `storagePressureThreshold`.
+ *
+ * @returns {Promise<number>} the bytes to free, `0` if there is no pressure or no estimate
+ */
+async function getStoragePressureBytes() {
+  const { usage, quota } = (await globalThis.navigator?.storage?.estimate?.()) ?? {};
+
+  if (!usage || !quota || usage / quota <= storagePressureThreshold) {
+    return 0;
+  }
+
+  return usage - quota * storagePressureTarget;
+}
+
 export class APICacheManager {
   /**
    * Creates an instance of `APICacheManager`.
@@ -32,43 +175,514 @@ export class APICacheManager {
     const promises = requests.map(request => cache.delete(request));
 
     await Promise.all(promises);
+    await clearEntryRecords();
+  };
+
+  /**
+   * Evicts entries until every `maxEntries` / `maxBytes` quota of the config is met,
+   * most specific quotas first, in the order of each quota's `evictionPolicy`.
+   * Then, if the origin uses more than 90% of its storage quota (`navigator.storage.estimate()`),
+   * evicts the least recently used entries until usage is back under 80%.
+   *
+   * Entries missing from the index (e.g. stored by an older version) count as never accessed,
+   * with the size of their cached body, and are added to it; index records of entries
+   * no longer in the cache are removed.
+   *
+   * @param {CacheConfigStore} configStore the config store used to resolve the quotas of entries
+   * @returns {Promise<number>} the number of evicted entries
+   */
+  enforceQuotas = async configStore => {
+    const { requests, cache } = await this.#getCache();
+    const recordsByUrl = new Map((await getEntryRecords()).map(record => [record.url, record]));
+
+    /** @type {Map<string, { quota: StorageQuota, entries: CacheEntryRecord[] }>} */
+    const groups = new Map();
+    /** @type {CacheEntryRecord[]} */
+    const entries = [];
+    /** @type {CacheEntryRecord[]} */
+    const missingRecords = [];
+
+    for (const request of requests) {
+      let entry = recordsByUrl.get(request.url);
+
+      if (entry) {
+        recordsByUrl.delete(request.url);
+      } else {
+        const response = await cache.match(request);
+        if (!response) continue;
+
+        entry = {
+          url: request.url,
+          size: (await response.arrayBuffer()).byteLength,
+          storedAt: 0,
+          lastAccessedAt: 0,
+          hits: 0,
+        };
+        missingRecords.push(entry);
+      }
+
+      for (const quota of configStore.resolveQuotas(revertCacheKeyRequest(request))) {
+        const group = groups.get(quota.scope) ?? { quota, entries: [] };
+        group.entries.push(entry);
+        groups.set(quota.scope, group);
+      }
+
+      entries.push(entry);
+    }
+
+    /** @type {Set<string>} */
+    const evicted = new Set();
+
+    const evict = async (entry, reason) => {
+      logger.log('api-cache-manager', `Evicting cache entry: ${entry.url}`);
+      await cache.delete(entry.url);
+      evicted.add(entry.url);
+
+      const originalRequest = revertCacheKeyRequest(new Request(entry.url));
+      recordCacheEvent({
+        type: 'evicted',
+        ...describeRequest(originalRequest, configStore),
+        bytes: entry.size,
+        reason,
+      });
+    };
+
+    // Most specific quotas first, so a higher-level quota only evicts what is still over its limit
+    const sortedGroups = [...groups.values()].sort((a, b) => b.quota.level - a.quota.level);
+
+    for (const { quota, entries: groupEntries } of sortedGroups) {
+      const candidates = groupEntries
+        .filter(entry => !evicted.has(entry.url))
+        .sort(evictionOrder[quota.evictionPolicy] ?? evictionOrder.lru);
+      let count = candidates.length;
+      let bytes = candidates.reduce((sum, entry) => sum + entry.size, 0);
+
+      for (const entry of candidates) {
+        if (
+          (quota.maxEntries == null || count <= quota.maxEntries) &&
+          (quota.maxBytes == null || bytes <= quota.maxBytes)
+        ) {
+          break;
+        }
+
+        await evict(entry, 'quota');
+        count--;
+        bytes -= entry.size;
+      }
+    }
+
+    const bytesToFree = await getStoragePressureBytes();
+
+    if (bytesToFree > 0) {
+      logger.warn('api-cache-manager', `Storage pressure, freeing ${bytesToFree} bytes`);
+      let freedBytes = 0;
+
+      for (const entry of entries.sort(evictionOrder.lru)) {
+        if (freedBytes >= bytesToFree) break;
+        if (evicted.has(entry.url)) continue;
+
+        await evict(entry, 'storage-pressure');
+        freedBytes += entry.size;
+      }
+    }
+
+    await putEntryRecords(missingRecords.filter(entry => !evicted.has(entry.url)));
+    await deleteEntryRecords([...evicted, ...recordsByUrl.keys()]);
+
+    return evicted.size;
   };
 
   /**
    * Deletes all cache entries that are stale, based on their individual endpoint config.
+   * Expired entries (past their `ttl`) are kept for strategies that can still serve them
+   * while refreshing (`stale-while-revalidate`, `network-first`).
    *
    * @param {CacheConfigStore} configStore the config store used to resolve endpoint configurations
    * @param {string} cacheTimestampHeader name of the header used to track timestamps
+   * @param {ConfigChangeScope | null} [changeScope] limits the sweep to the hosts and endpoints
+   * affected by a config change; sweeps all entries if omitted
    */
-  deleteStaleEntries = async (configStore, cacheTimestampHeader) => {
+  deleteStaleEntries = async (configStore, cacheTimestampHeader, changeScope = null) => {
     const { requests, cache } = await this.#getCache();
+    const now = Date.now();
 
     for (const request of requests) {
+      const originalRequest = revertCacheKeyRequest(request);
+
+      if (!isWithinChangeScope(changeScope, configStore.matchEndpoint(originalRequest))) continue;
+
+      const endpointConfig = configStore.resolveRequestSettings(
+        originalRequest,
+        undefined,
+        getGraphQLOperationFromCacheKey(request)
+      );
+      if (!endpointConfig) continue;
+
       const response = await cache.match(request);
       if (!response) continue;
 
+      const freshness = evaluateFreshness(response, endpointConfig, cacheTimestampHeader, now);
+
+      if (freshness === 'fresh') continue;
+      if (freshness === 'expired' && strategiesServingExpired.includes(endpointConfig.strategy)) {
+        continue;
+      }
+
+      logger.log('api-cache-manager', `Deleting ${freshness} cache entry: ${request.url}`);
+      await cache.delete(request);
+      recordCacheEvent({
+        type: 'evicted',
+        ...describeRequest(originalRequest, configStore),
+        reason: freshness,
+      });
+    }
+  };
+
+  /**
+   * Deletes the entries invalidated by a successful mutation, according to its `invalidates` rules.
+   * Path params of a rule are filled in from the mutation URL when the mutation's endpoint pattern
+   * has a param of the same name; otherwise they match any value. Query params are ignored.
+   *
+   * @param {Request} mutationRequest the mutation that succeeded
+   * @param {InvalidationRule[]} rules the `invalidates` rules of the mutation
+   * @param {CacheConfigStore} configStore the config store used to match the mutation's endpoint
+   * @returns {Promise<Request[]>} the original requests of the deleted entries whose rule has `rewarm`
+   */
+  deleteInvalidatedEntries = async (mutationRequest, rules, configStore) => {
+    const { origin } = new URL(mutationRequest.url);
+    const { params = {} } = configStore.matchEndpoint(mutationRequest) ?? {};
+
+    const targets = rules.flatMap(rule => {
+      try {
+        const route = compileRoutePattern(fillRoutePattern(rule.path, params));
+        return [{ ...rule, host: rule.host ?? origin, method: rule.method ?? 'GET', route }];
+      } catch (error) {
+        logger.warn('api-cache-manager', `Ignoring invalidation rule '${rule.path}': ${error}`);
+        return [];
+      }
+    });
+
+    const { requests, cache } = await this.#getCache();
+    const rewarmRequests = [];
+
+    for (const request of requests) {
       const originalRequest = revertCacheKeyRequest(request);
-      const endpointConfig = configStore.resolveRequestSettings(originalRequest);
+      const target = targets.find(({ route, ...rule }) =>
+        matchesSelector(rule, route, originalRequest)
+      );
 
-      if (!endpointConfig) continue;
+      if (!target) continue;
 
-      const timestampHeader = response.headers.get(cacheTimestampHeader);
-      const responseTimestamp = +timestampHeader;
+      logger.log('api-cache-manager', `Invalidating cache entry: ${request.url}`);
+      await cache.delete(request);
 
-      if (isNaN(responseTimestamp)) {
-        logger.warn('api-cache-manager', `Invalid timestamp for ${request.url}`);
-      } else if (responseTimestamp < endpointConfig.lastModified) {
-        const time = new Date(responseTimestamp).toISOString();
-        logger.log(
-          'api-cache-manager',
-          `Deleting stale cache entry: ${request.url} (time: ${time})`
-        );
-      } else {
+      if (target.rewarm) {
+        rewarmRequests.push(originalRequest);
+      }
+    }
+
+    return rewarmRequests;
+  };
+
+  /**
+   * Deletes the entries of GraphQL operations invalidated by a successful mutation,
+   * according to its `invalidatesOperations`. Only entries of the mutation's endpoint are deleted.
+   * Operations are matched by name, or by persisted query hash for those sent without a name.
+   *
+   * @param {Request} mutationRequest the mutation that succeeded
+   * @param {string[]} operationNames the names (or persisted query hashes) of the operations to invalidate
+   * @param {CacheConfigStore} configStore the config store used to match the mutation's endpoint
+   * @returns {Promise<number>} the number of deleted entries
+   */
+  deleteGraphQLOperationEntries = async (mutationRequest, operationNames, configStore) => {
+    const { host, pattern } = configStore.matchEndpoint(mutationRequest) ?? {};
+    const { requests, cache } = await this.#getCache();
+    let deletedCount = 0;
+
+    for (const request of requests) {
+      const endpointMatch = configStore.matchEndpoint(revertCacheKeyRequest(request));
+      if (endpointMatch?.host !== host || endpointMatch.pattern !== pattern) continue;
+
+      const operation = getGraphQLOperationFromCacheKey(request);
+      if (
+        !operation ||
+        ![operation.operationName, operation.persistedQueryHash].some(
+          id => id && operationNames.includes(id)
+        )
+      ) {
         continue;
       }
 
+      logger.log('api-cache-manager', `Invalidating cache entry: ${request.url}`);
+      await cache.delete(request);
+      deletedCount++;
+    }
+
+    return deletedCount;
+  };
+
+  /**
+   * Deletes the entries matching a selector, e.g. one tenant's data after an ETL run.
+   * Tags are read from the tags recorded on each entry when it was stored.
+   *
+   * @param {InvalidationSelector} selector the entries to delete
+   * @param {CacheConfigStore} configStore the config store used to resolve the `key` settings of entries
+   * @returns {Promise<number>} the number of deleted entries
+   * @throws {Error} if the selector's `path` is not a valid endpoint pattern
+   */
+  invalidate = async (selector, configStore) => {
+    const route = selector.path != null ? compileRoutePattern(selector.path) : undefined;
+    const { requests, cache } = await this.#getCache();
+    let deletedCount = 0;
+
+    for (const request of requests) {
+      const originalRequest = revertCacheKeyRequest(request);
+      const keySettings =
+        selector.query && configStore.current
+          ? configStore.resolveRequestSettings(
+              originalRequest,
+              undefined,
+              getGraphQLOperationFromCacheKey(request)
+            )?.key
+          : undefined;
+
+      if (!matchesSelector(selector, route, originalRequest, keySettings)) continue;
+
+      if (selector.tags?.length) {
+        const response = await cache.match(request);
+        const tags = parseCacheTags(response?.headers.get(cacheTagsHeader));
+
+        if (!selector.tags.some(tag => tags.includes(tag))) continue;
+      }
+
+      logger.log('api-cache-manager', `Invalidating cache entry: ${request.url}`);
       await cache.delete(request);
+      deletedCount++;
+    }
+
+    return deletedCount;
+  };
+
+  /**
+   * Lists the cached entries with their decoded keys, timestamps and freshness, for inspection.
+   * Encrypted entries are not decrypted: their timestamp and tags are kept in plaintext.
+   * Key header values are redacted (see `redactCacheKeyUrl`), and only the first `limit`
+   * entries are read from the cache.
+   *
+   * @param {CacheConfigStore} configStore the config store used to resolve endpoint configurations
+   * @param {string} cacheTimestampHeader name of the header used to track timestamps
+   * @param {{ limit?: number }} [options] the maximum number of entries to list (all by default)
+   * @returns {Promise<{ entries: CacheEntryInfo[], entryCount: number }>} the listed entries,
+   * and the number of cached entries
+   */
+  inspectEntries = async (configStore, cacheTimestampHeader, { limit = Infinity } = {}) => {
+    const { requests, cache } = await this.#getCache();
+    const recordsByUrl = new Map((await getEntryRecords()).map(record => [record.url, record]));
+    const now = Date.now();
+    const entries = [];
+
+    for (const request of requests.slice(0, limit)) {
+      const response = await cache.match(request);
+      if (!response) continue;
+
+      const redactedUrl = await redactCacheKeyUrl(request.url);
+
+      const originalRequest = revertCacheKeyRequest(request);
+      const endpointConfig = configStore.resolveRequestSettings(
+        originalRequest,
+        undefined,
+        getGraphQLOperationFromCacheKey(request)
+      );
+      const storedAt = Number(response.headers.get(cacheTimestampHeader));
+      const record = recordsByUrl.get(request.url);
+
+      entries.push({
+        url: redactedUrl,
+        method: originalRequest.method,
+        requestUrl: originalRequest.url,
+        keyParams: getCacheKeyParams(new Request(redactedUrl)),
+        endpoint: configStore.matchEndpoint(originalRequest)?.pattern ?? null,
+        storedAt: storedAt || null,
+        freshness: endpointConfig
+          ? evaluateFreshness(response, endpointConfig, cacheTimestampHeader, now)
+          : null,
+        status: response.status,
+        tags: parseCacheTags(response.headers.get(cacheTagsHeader)),
+        encrypted: response.headers.has(encryptionKeyIdHeader),
+        size: record?.size ?? null,
+        hits: record?.hits ?? null,
+        lastAccessedAt: record?.lastAccessedAt ?? null,
+      });
+    }
+
+    return { entries, entryCount: requests.length };
+  };
+
+  /**
+   * Deletes a single entry, e.g. evicted by hand from the debug panel.
+   *
+   * @param {string} url the redacted cache key URL of the entry (see `CacheEntryInfo.url`)
+   * @returns {Promise<boolean>} `true` if the entry existed
+   */
+  deleteEntry = async url => {
+    const { requests, cache } = await this.#getCache();
+    const deletedUrls = [];
+
+    for (const request of requests) {
+      if ((await redactCacheKeyUrl(request.url)) === url && (await cache.delete(request))) {
+        deletedUrls.push(request.url);
+      }
     }
+
+    await deleteEntryRecords(deletedUrls);
+
+    if (deletedUrls.length) {
+      logger.log('api-cache-manager', `Deleted cache entry: ${url}`);
+    }
+
+    return deletedUrls.length > 0;
+  };
+
+  /**
+   * Exports the cached entries as a HAR 1.2 file, with the original requests (see
+   * `revertCacheKeyRequest`) and the decrypted responses. The store timestamp and the tags of each
+   * entry are kept in its `_cacheTimestamp` and `_cacheTags` fields.
+   * Request bodies are exported as they were keyed, i.e. normalized by the `key` settings,
+   * except those of encrypted entries, whose keys only hold a hash of the body.
+   * Encrypted entries that can no longer be decrypted are left out, and so are credential headers
+   * unless `includeCredentials` is set (see `toHarEntry`).
+   *
+   * @param {string} cacheTimestampHeader name of the header used to track timestamps
+   * @param {{ includeCredentials?: boolean }} [options] whether to keep credential headers
+   * @returns {Promise<Har>} the HAR file
+   */
+  exportHar = async (cacheTimestampHeader, { includeCredentials = false } = {}) => {
+    const { requests, cache } = await this.#getCache();
+    const entries = [];
+
+    for (const request of requests) {
+      let response = await cache.match(request);
+      const encrypted = !!response && isEncryptedResponse(response);
+
+      if (encrypted) {
+        response = await decryptResponse(response).catch(error => {
+          logger.error('api-cache-manager', `Failed to decrypt ${request.url}: ${error}`);
+          return null;
+        });
+      }
+
+      if (!response) continue;
+
+      const storedAt = Number(response.headers.get(cacheTimestampHeader));
+      const tags = parseCacheTags(response.headers.get(cacheTagsHeader));
+      const { body = 'none' } = getCacheKeyParams(request);
+      const headers = new Headers(response.headers);
+
+      headers.delete(cacheTimestampHeader);
+      headers.delete(cacheTagsHeader);
+
+      entries.push(
+        await toHarEntry(
+          {
+            request: revertCacheKeyRequest(request),
+            // The keys of encrypted entries only hold a hash of the body
+            requestBody: body === 'none' || encrypted ? '' : body,
+            response: new Response(response.body, {
+              status: response.status,
+              statusText: response.statusText,
+              headers,
+            }),
+            storedAt: storedAt || null,
+            tags,
+          },
+          { includeCredentials }
+        )
+      );
+    }
+
+    logger.log('api-cache-manager', `Exported ${entries.length} cache entries as HAR`);
+
+    return createHar(entries);
+  };
+
+  /**
+   * Seeds the cache from a HAR file (e.g. exported by `exportHar`, or recorded by browser devtools).
+   * Each entry is stored under the cache key the active config gives its request, like a fetched
+   * response: entries of unconfigured or `network-only` endpoints, or with a status the endpoint
+   * doesn't cache, are skipped.
+   *
+   * @param {Har} har the HAR file
+   * @param {CacheConfigStore} configStore the config store providing the cache key rules
+   * @param {string} cacheTimestampHeader name of the header used to track timestamps
+   * @param {Object} [options]
+   * @param {boolean} [options.preserveTimestamps] stores entries with their recorded timestamp
+   * (`_cacheTimestamp`, else `startedDateTime`) instead of now, keeping their original freshness
+   * @returns {Promise<{ imported: number, skipped: number }>} the number of imported and skipped entries
+   * @throws {TypeError} if the file has no `log.entries`
+   */
+  importHar = async (
+    har,
+    configStore,
+    cacheTimestampHeader,
+    { preserveTimestamps = false } = {}
+  ) => {
+    if (!Array.isArray(har?.log?.entries)) {
+      throw new TypeError('Invalid HAR file: missing log.entries');
+    }
+
+    const cache = await this.caches.open(this.cacheName);
+    let imported = 0;
+    let skipped = 0;
+
+    for (const entry of har.log.entries) {
+      try {
+        const { request, response, storedAt } = fromHarEntry(entry);
+        const stored = await storeResponse(
+          request,
+          response,
+          cacheTimestampHeader,
+          configStore,
+          cache,
+          preserveTimestamps ? { storedAt } : {}
+        );
+
+        if (stored) {
+          imported++;
+        } else {
+          skipped++;
+        }
+      } catch (error) {
+        logger.error('api-cache-manager', `Failed to import HAR entry: ${error}`);
+        skipped++;
+      }
+    }
+
+    logger.log('api-cache-manager', `Imported ${imported} HAR entries, skipped ${skipped}`);
+
+    return { imported, skipped };
+  };
+
+  /**
+   * Deletes the encrypted entries that can't be decrypted with the given key,
+   * e.g. after the key was rotated, or all encrypted entries after it was wiped.
+   *
+   * @param {string} [currentKeyId] the ID of the current key, omitted to delete all encrypted entries
+   * @returns {Promise<number>} the number of deleted entries
+   */
+  deleteEncryptedEntries = async currentKeyId => {
+    const { requests, cache } = await this.#getCache();
+    let deletedCount = 0;
+
+    for (const request of requests) {
+      const keyId = (await cache.match(request))?.headers.get(encryptionKeyIdHeader);
+
+      if (keyId && keyId !== currentKeyId) {
+        await cache.delete(request);
+        deletedCount++;
+      }
+    }
+
+    return deletedCount;
   };
 
   /**
@@ -0,0 +1,270 @@
+import { logger } from './logger.js';
+import { evaluateFreshness } from './cache-freshness.js';
+import { strategies, defaultStrategy } from './cache-strategies.js';
+import { escapeRegex } from './route-matcher.js';
+
+/**
+ * @typedef {import('./cache-config-store.js').AssetRule} AssetRule
+ * @typedef {import('./cache-config-store.js').CacheStrategy} CacheStrategy
+ */
+
+/**
+ * Header of cached assets recording the rule that stored them (see `getRuleId`).
+ */
+const assetRuleHeader = 'x-full-cache-asset-rule';
+
+/**
+ * Strategies that can still make use of an expired entry, so sweeps should not delete it.
+ * @type {CacheStrategy[]}
+ */
+const strategiesServingExpired = ['stale-while-revalidate', 'network-first'];
+
+/**
+ * A compiled URL glob, tested against the part of the URL its form refers to.
+ *
+ * @typedef {Object} CompiledGlob
+ * @property {'href' | 'pathname' | 'filename'} target
+ * @property {RegExp} regex
+ */
+
+/**
+ * Compiles a URL glob, where `*` matches within a path segment and `**` across segments.
+ * Globs with an origin (`https://cdn.example.com/**`) match the URL without its query,
+ * globs with a slash (`/static/**`) match the pathname, and others (`*.woff2`) the file name.
+ *
+ * @param {string} glob the glob
+ * @returns {CompiledGlob}
+ */
+function compileGlob(glob) {
+  const target = glob.includes('://') ? 'href' : glob.includes('/') ? 'pathname' : 'filename';
+  const normalizedGlob = target === 'pathname' && !glob.startsWith('/') ? `/${glob}` : glob;
+
+  const source = normalizedGlob
+    .split(/(\*\*\/|\*\*|\*)/)
+    .map(part =>
+      part === '**/'
+        ? '(?:.*/)?'
+        : part === '**'
+          ? '.*'
+          : part === '*'
+            ? '[^/]*'
+            : escapeRegex(part)
+    )
+    .join('');
+
+  return { target, regex: new RegExp(`^${source}$`) };
+}
+
+/**
+ * Identifies the requests a rule matches, so that its entries are kept when only
+ * its strategy or limits change, and deleted when the rule is removed.
+ *
+ * @param {AssetRule} rule
+ * @returns {string}
+ */
+function getRuleId({ destination, match }) {
+  return encodeURIComponent(JSON.stringify([destination ?? null, match ?? null]));
+}
+
+/**
+ * Caches static assets (scripts, styles, images, fonts, documents) by the `assets` rules of the config,
+ * in a bucket of their own next to the API cache.
+ */
+export class AssetCacheManager {
+  /**
+   * Compiled `match` globs per rule, compiled lazily once per rule object.
+   * @type {WeakMap<AssetRule, CompiledGlob[]>}
+   */
+  #compiledGlobs = new WeakMap();
+
+  /**
+   * Creates an instance of `AssetCacheManager`.
+   *
+   * @param {CacheStorage} caches the `CacheStorage` object used for interacting with browser caches
+   * @param {string} cacheName the name of the API cache, which the asset bucket is named after
+   */
+  constructor(caches, cacheName) {
+    this.caches = caches;
+    this.cacheName = `${cacheName}-assets`;
+  }
+
+  /**
+   * Finds the first rule matching a request. Only `GET` requests are matched.
+   *
+   * @param {Request} request the request
+   * @param {AssetRule[]} [rules] the `assets` rules of the config
+   * @returns {AssetRule | undefined} the matching rule, or `undefined` if none matches
+   */
+  findRule = (request, rules = []) => {
+    if (request.method !== 'GET' || !rules.length) return;
+
+    const url = new URL(request.url);
+    const targets = {
+      href: url.origin + url.pathname,
+      pathname: url.pathname,
+      filename: url.pathname.slice(url.pathname.lastIndexOf('/') + 1),
+    };
+
+    return rules.find(rule => {
+      const destinations = [rule.destination ?? []].flat();
+
+      if (destinations.length && !destinations.includes(request.destination)) {
+        return false;
+      }
+
+      return (
+        rule.match === undefined ||
+        this.#getCompiledGlobs(rule).some(({ target, regex }) => regex.test(targets[target]))
+      );
+    });
+  };
+
+  /**
+   * Serves a request with the strategy of its rule (defaults to `cache-first`), where `maxAgeMs`
+   * decides the freshness of cached entries. Only `ok` responses are stored: opaque responses of
+   * cross-origin `no-cors` requests are served but never cached.
+   *
+   * @param {Request} request the request
+   * @param {AssetRule} rule the rule matching the request (see `findRule`)
+   * @param {string} cacheTimestampHeader the header name used to store the cache timestamp
+   * @param {(promise: Promise<unknown>) => void} waitUntil extends the lifetime of background work
+   * @param {{ onStore?: () => void }} [options] called once a fetched response has been stored
+   * @returns {Promise<Response>} the cached or fetched response
+   */
+  handle = async (request, rule, cacheTimestampHeader, waitUntil, { onStore } = {}) => {
+    const cache = await this.caches.open(this.cacheName);
+    const settings = { ttl: rule.maxAgeMs, networkTimeoutMs: rule.networkTimeoutMs };
+    const strategy = strategies[rule.strategy ?? defaultStrategy];
+
+    return strategy({
+      request,
+      settings,
+      matchCache: async () => {
+        const response = await cache.match(request);
+
+        return (
+          response && {
+            response,
+            freshness: evaluateFreshness(response, settings, cacheTimestampHeader),
+          }
+        );
+      },
+      fetchAndStore: async () => {
+        const response = await fetch(request);
+
+        if (response.ok) {
+          const clonedResponse = response.clone();
+          const storedResponse = new Response(clonedResponse.body, {
+            status: clonedResponse.status,
+            statusText: clonedResponse.statusText,
+            headers: new Headers({
+              ...Object.fromEntries(clonedResponse.headers),
+              [cacheTimestampHeader]: Date.now(),
+              [assetRuleHeader]: getRuleId(rule),
+            }),
+          });
+
+          waitUntil(
+            cache
+              .put(request, storedResponse)
+              .then(() => onStore?.())
+              .catch(error =>
+                logger.error('asset-cache', `Failed to cache ${request.url}: ${error}`)
+              )
+          );
+        }
+
+        return response;
+      },
+      fetchFromNetwork: () => fetch(request),
+      waitUntil,
+    });
+  };
+
+  /**
+   * Deletes the entries of rules no longer in the config, the expired entries of `cache-first`
+   * rules, and the oldest entries of rules beyond their `maxEntries`.
+   *
+   * @param {AssetRule[]} rules the `assets` rules of the config
+   * @param {string} cacheTimestampHeader the header name used to store the cache timestamp
+   * @returns {Promise<number>} the number of deleted entries
+   */
+  enforceRules = async (rules, cacheTimestampHeader) => {
+    const cache = await this.caches.open(this.cacheName);
+    const rulesById = new Map(rules.map(rule => [getRuleId(rule), rule]));
+    const now = Date.now();
+
+    /** @type {Map<string, { request: Request, storedAt: number }[]>} */
+    const entriesByRuleId = new Map();
+    const deletedRequests = [];
+
+    for (const request of await cache.keys()) {
+      const response = await cache.match(request);
+      if (!response) continue;
+
+      const ruleId = response.headers.get(assetRuleHeader);
+      const rule = rulesById.get(ruleId);
+      const storedAt = Number(response.headers.get(cacheTimestampHeader)) || 0;
+
+      const isExpired =
+        !!rule &&
+        !strategiesServingExpired.includes(rule.strategy) &&
+        evaluateFreshness(response, { ttl: rule.maxAgeMs }, cacheTimestampHeader, now) !== 'fresh';
+
+      if (!rule || isExpired) {
+        deletedRequests.push(request);
+      } else {
+        if (!entriesByRuleId.has(ruleId)) {
+          entriesByRuleId.set(ruleId, []);
+        }
+
+        entriesByRuleId.get(ruleId).push({ request, storedAt });
+      }
+    }
+
+    for (const [ruleId, entries] of entriesByRuleId) {
+      const { maxEntries } = rulesById.get(ruleId);
+
+      if (maxEntries && entries.length > maxEntries) {
+        entries.sort((a, b) => a.storedAt - b.storedAt);
+        deletedRequests.push(
+          ...entries.slice(0, entries.length - maxEntries).map(entry => entry.request)
+        );
+      }
+    }
+
+    await Promise.all(deletedRequests.map(request => cache.delete(request)));
+
+    if (deletedRequests.length) {
+      logger.info('asset-cache', `Deleted ${deletedRequests.length} cached assets`);
+    }
+
+    return deletedRequests.length;
+  };
+
+  /**
+   * Deletes all cached assets.
+   *
+   * @returns {Promise<boolean>} `true` if the asset bucket existed
+   */
+  clear = () => {
+    return this.caches.delete(this.cacheName);
+  };
+
+  /**
+   * Returns the compiled `match` globs of a rule, compiling them on first use.
+   *
+   * @param {AssetRule} rule
+   * @returns {CompiledGlob[]}
+   */
+  #getCompiledGlobs(rule) {
+    let globs = this.#compiledGlobs.get(rule);
+
+    if (!globs) {
+      globs = [rule.match].flat().map(compileGlob);
+      this.#compiledGlobs.set(rule, globs);
+    }
+
+    return globs;
+  }
+}
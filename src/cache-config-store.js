@@ -5,52 +5,199 @@ import {
   clearConfigFromIndexedDB,
 } from './config-persistence.js';
 import { logger } from './logger.js';
+import { getPatchChangeScope } from './config-change-scope.js';
+import { compileRoutes, matchRoute, normalizePath, isDynamicPattern } from './route-matcher.js';
+import { validateCacheConfig } from './cache-config-validator.js';
 
 /**
  * @typedef {'always' | 'on-load' | 'on-update' | 'never'} PrefetchMode
  */
 
+/**
+ * @typedef {import('./route-matcher.js').CompiledRoute} CompiledRoute
+ * @typedef {import('./config-change-scope.js').ConfigChangeScope} ConfigChangeScope
+ * @typedef {import('./cache-config-sync-client.js').CacheConfigUpdate} CacheConfigUpdate
+ * @typedef {import('./cache-config-sync-client.js').CacheConfigSource} CacheConfigSource
+ * @typedef {import('./graphql-request-parser.js').GraphQLOperation} GraphQLOperation
+ * @typedef {import('./cache-config-validator.js').ValidationMode} ValidationMode
+ */
+
+/**
+ * @typedef {'cache-first' | 'network-first' | 'stale-while-revalidate' | 'network-only'} CacheStrategy
+ */
+
+/**
+ * Options controlling how requests are normalized into cache keys.
+ * See `cache-key-normalizer.js` for the defaults.
+ *
+ * @typedef {Object} CacheKeySettings
+ * @property {boolean} [ignoreQueryKeysOrder] Treat `?a=1&b=2` and `?b=2&a=1` as equivalent
+ * @property {boolean} [ignoreBodyKeysOrder] Ignore the order of top-level body keys
+ * @property {boolean} [ignoreBodyKeysOrderRecursively] Ignore the order of body keys at any depth
+ * @property {boolean} [ignoreArraysOrder] Ignore the order of array items and repeated query params
+ * @property {boolean} [ignoreQueryKeysCase] Ignore the case of query param names
+ * @property {boolean} [ignoreBodyKeysCase] Ignore the case of body keys
+ * @property {boolean} [ignoreQueryValuesCase] Ignore the case of query param values
+ * @property {boolean} [ignoreBodyValuesCase] Ignore the case of body string values
+ * @property {boolean} [normalizeNumericValues] Treat numeric strings like `"10.0"` and `"10"` as equivalent
+ * @property {boolean} [trimStringValues] Trim leading and trailing whitespace of string values
+ * @property {boolean} [ignoreNullishQueryParams] Exclude empty, `null` and `undefined` query params
+ * @property {boolean} [ignoreNullishBodyKeys] Exclude top-level body keys with nullish values
+ * @property {boolean} [ignoreNullishBodyKeysRecursively] Exclude body keys with nullish values at any depth
+ * @property {boolean} [includeQueryParams] Include query params in the cache key
+ * @property {boolean} [includeRequestBody] Include the request body in the cache key
+ */
+
+/**
+ * The response returned for requests rejected because their `maxConcurrent` queue is full.
+ *
+ * @typedef {Object} QueueOverflowResponse
+ * @property {number} [status] Defaults to `503`
+ * @property {string} [statusText] Defaults to `'Service Unavailable'`
+ * @property {string} [body] Optional response body
+ * @property {Record<string, string>} [headers] Optional response headers
+ */
+
+/**
+ * Replay options of the offline mutation queue.
+ *
+ * @typedef {Object} OfflineQueueSettings
+ * @property {number} [maxRetries] Failed replay attempts after which a mutation is dropped. Defaults to `5`
+ */
+
+/**
+ * Cache entries invalidated by a successful request, e.g. `{ path: '/users/:id' }` on `PUT /users/:id`.
+ *
+ * @typedef {Object} InvalidationRule
+ * @property {string} path Endpoint pattern of the entries to delete. Params named like those of the request's own pattern are filled in from its URL
+ * @property {string} [method] Method of the entries to delete. Defaults to `'GET'`
+ * @property {string} [host] Host of the entries to delete. Defaults to the request's host
+ * @property {boolean} [rewarm] Fetch the deleted entries again in the background. Defaults to `false`
+ */
+
+/**
+ * Chooses which entries are evicted first when a storage quota is exceeded:
+ * - `lru`: least recently used
+ * - `lfu`: least frequently used (fewest cache hits), least recently used among equals
+ *
+ * @typedef {'lru' | 'lfu'} EvictionPolicy
+ */
+
+/**
+ * A `maxEntries` / `maxBytes` limit, bounding all cached entries under the level that sets it.
+ *
+ * @typedef {Object} StorageQuota
+ * @property {string} scope Identifies the level, e.g. `'*'`, a host, or a host and endpoint pattern
+ * @property {number} level Specificity of the level, from `0` (global) to `3` (method)
+ * @property {number} [maxEntries]
+ * @property {number} [maxBytes]
+ * @property {EvictionPolicy} evictionPolicy
+ */
+
 /**
  * Common cache configuration fields that can be defined globally,
  * per host, per controller, or per endpoint/method.
  *
  * @typedef {Object} CacheSettings
  * @property {number} [lastModified] Optional timestamp indicating the last data update (in milliseconds since epoch)
+ * @property {number} [ttl] Optional time-to-live in milliseconds for cache entries, used when `lastModified` is not set
  * @property {string[]} [keyHeaders] Optional list of request headers used to compute the cache key. Defaults to `[]`
  * @property {PrefetchMode} [prefetch] Optional prefetch behavior. Defaults to `'never'`
+ * @property {CacheStrategy} [strategy] Optional caching strategy. Defaults to `'cache-first'`
+ * @property {number} [networkTimeoutMs] Optional time in milliseconds a `network-first` request waits before falling back to the cache. Defaults to `3000`
+ * @property {[number, number][]} [cacheIfStatusIn] Optional inclusive status ranges eligible for caching. Defaults to `[[200, 299]]`
+ * @property {CacheKeySettings} [key] Optional cache key normalization options, merged across levels
+ * @property {number} [debounce] Optional window in milliseconds merging requests with the same cache key, across tabs
+ * @property {number} [maxConcurrent] Optional limit of concurrent network requests per host, endpoint pattern and method
+ * @property {number} [maxQueueLength] Optional limit of requests queued by `maxConcurrent`. Unbounded by default
+ * @property {QueueOverflowResponse} [queueOverflowResponse] Optional response for requests beyond `maxQueueLength`. Defaults to `503 Service Unavailable`
+ * @property {boolean} [cancelPrevious] Optional flag aborting in-flight requests to the same resource when a new one starts, except mutations under `offlineQueue`. Defaults to `false`
+ * @property {'reject' | 'latest'} [cancelPreviousBehavior] Optional outcome for callers of a cancelled request: an `AbortError` or the newer response. Defaults to `'reject'`
+ * @property {boolean | OfflineQueueSettings} [offlineQueue] Optional flag queueing mutations that fail while offline, to replay them later. Defaults to `false`
+ * @property {string} [tagsHeader] Optional response header with the server-assigned cache tags of an entry, recorded at store time. Defaults to `'x-cache-tags'`
+ * @property {number} [maxEntries] Optional limit of cached entries under the level setting it (global, host, endpoint or method)
+ * @property {number} [maxBytes] Optional limit of cached bytes under the level setting it (global, host, endpoint or method)
+ * @property {EvictionPolicy} [evictionPolicy] Optional policy choosing the entries evicted to stay within `maxEntries` and `maxBytes`. Defaults to `'lru'`
+ * @property {boolean} [encrypt] Optional flag encrypting cached bodies and headers at rest (AES-GCM), and hashing the body and key headers in cache keys. Defaults to `false`
+ * @property {InvalidationRule[]} [invalidates] Optional cache entries to delete when a request (usually a mutation) succeeds
+ * @property {GraphQLOperation} [graphqlOperation] The parsed operation of a request to a `graphql` endpoint, set by `resolveRequestSettings` (not part of the config)
+ */
+
+/**
+ * Settings of a GraphQL operation, merged over those of its endpoint and method.
+ *
+ * @typedef {CacheSettings & { type?: GraphQLOperationType, invalidatesOperations?: string[] }} GraphQLOperationSettings
+ * `type` declares the operation type of requests sending only a persisted query hash, which are
+ * otherwise taken as mutations unless sent with `GET`.
+ * `invalidatesOperations` lists the operations (by name or persisted query hash) whose entries
+ * (on the same endpoint) a successful mutation deletes
+ *
+ * @typedef {import('./graphql-request-parser.js').GraphQLOperationType} GraphQLOperationType
+ */
+
+/**
+ * GraphQL mode of an endpoint: requests are parsed as GraphQL operations and keyed by their
+ * normalized query (or persisted query hash) and variables. Mutations and subscriptions are never cached.
+ *
+ * @typedef {Object} GraphQLConfig
+ * @property {{ [operationNameOrHash: string]: GraphQLOperationSettings }} [operations] Settings per
+ * operation name, or per persisted query hash for operations sent without a name
  */
 
 /**
  * Controller-level configuration (e.g. `/users`), consisting of:
  * - Optional `settings` for controller-level defaults
  * - Optional `methods` map per HTTP method (e.g. `GET`, `POST`)
+ * - Optional `graphql` mode, resolving settings per operation
  *
  * @typedef {Object} EndpointConfig
  * @property {CacheSettings} [settings]
  * @property {{ [method in string]?: CacheSettings }} [methods]
+ * @property {GraphQLConfig} [graphql]
  */
 
 /**
  * Host-level configuration (e.g. `'localhost:3000'`), consisting of:
  * - Optional `settings` for host-level defaults
- * - Optional `controllers` map per path (e.g. `'users'`)
+ * - Optional `endpoints` map per path pattern (e.g. `'users'`, `'/users/:id'`, `'files/**'`)
  *
  * @typedef {Object} HostConfig
  * @property {CacheSettings} [settings]
  * @property {{ [controllerPath: string]: EndpointConfig }} [endpoints]
  */
 
+/**
+ * The `request.destination` values an asset rule can match.
+ *
+ * @typedef {'audio' | 'document' | 'font' | 'image' | 'manifest' | 'script' | 'style' | 'track' | 'video' | 'worker'} AssetDestination
+ */
+
+/**
+ * Runtime caching rule for static assets. A rule matches a `GET` request if its `destination`
+ * and `match` (whichever are set) both match; the first matching rule of `assets` applies.
+ *
+ * @typedef {Object} AssetRule
+ * @property {AssetDestination | AssetDestination[]} [destination] Destinations of the requests to cache (e.g. `'font'`)
+ * @property {string | string[]} [match] URL globs of the requests to cache: a file name (`'*.woff2'`), a path (`'/static/**'`) or an origin and path (`'https://cdn.example.com/**'`)
+ * @property {CacheStrategy} [strategy] Optional caching strategy. Defaults to `'cache-first'`
+ * @property {number} [maxEntries] Optional limit of entries cached by the rule, the oldest are deleted first
+ * @property {number} [maxAgeMs] Optional time in milliseconds after which an entry is expired. Never expires by default
+ * @property {number} [networkTimeoutMs] Optional time in milliseconds a `network-first` request waits before falling back to the cache. Defaults to `3000`
+ */
+
 /**
  * Root-level cache configuration, with:
  * - Optional global `settings`
  * - Required `endpoints` map per host
  * - Optional `cacheTTL` to persist the config
+ * - Optional `assets` rules for static assets
  *
  * @typedef {Object} CacheConfig
  * @property {CacheSettings} [settings] Global settings
  * @property {{ [host: string]: HostConfig }} hosts
  * @property {number} [cacheTTL] Optional time-to-live in milliseconds for persisting the config
  * @property {number} [fallbackPollingIntervalMs] Optional polling interval in milliseconds to fetch config updates if WebSocket is disconnected. If omitted, polling is disabled.
+ * @property {AssetRule[]} [assets] Optional runtime caching rules for static assets, applied before the API `hosts`
  */
 
 /**
@@ -59,6 +206,26 @@ import { logger } from './logger.js';
  */
 const defaultPrefetchMode = 'never';
 
+/**
+ * Default eviction policy of storage quotas that don't specify one.
+ * @type {EvictionPolicy}
+ */
+const defaultEvictionPolicy = 'lru';
+
+/**
+ * Finds the settings of a GraphQL operation, configured under its name or persisted query hash.
+ *
+ * @param {GraphQLConfig} graphqlConfig the `graphql` config of the endpoint
+ * @param {GraphQLOperation} graphqlOperation the operation
+ * @returns {GraphQLOperationSettings | undefined} the settings, if the operation is configured
+ */
+function findOperationSettings({ operations }, { operationName, persistedQueryHash }) {
+  return (
+    (operationName ? operations?.[operationName] : undefined) ??
+    (persistedQueryHash ? operations?.[persistedQueryHash] : undefined)
+  );
+}
+
 export class CacheConfigStore {
   /**
    * The current active `CacheConfig`, or `null` if no configuration has been loaded.
@@ -66,6 +233,24 @@ export class CacheConfigStore {
    */
   #current = null;
 
+  /**
+   * Where the current config came from, or `null` if unknown or no config is loaded.
+   * @type {CacheConfigSource | null}
+   */
+  #source = null;
+
+  /**
+   * Timestamp (ms since epoch) when the current config was set, or `null` if no config is loaded.
+   * @type {number | null}
+   */
+  #updatedAt = null;
+
+  /**
+   * Compiled endpoint routes per host config, compiled lazily once per config object.
+   * @type {WeakMap<HostConfig, CompiledRoute[]>}
+   */
+  #compiledRoutes = new WeakMap();
+
   /**
    * Timer ID for scheduled config cleanup after TTL expires.
    * @type {number | null}
@@ -76,8 +261,10 @@ export class CacheConfigStore {
    * Creates an instance of `CacheConfigStore`.
    *
    * @typedef {Object} CacheConfigOptions
-   * @property {() => void} [onSet] Callback triggered whenever the cache configuration is updated
-   * @property {() => void} [onReset] Callback triggered whenever the cache configuration is cleared
+   * @property {(changeScope: ConfigChangeScope | null, update: CacheConfigUpdate) => void | Promise<void>} [onSet] Callback triggered whenever the cache configuration is updated.
+   * Receives the part of the config that changed, or `null` if the whole config may have changed,
+   * and how the new config was received
+   * @property {() => void | Promise<void>} [onReset] Callback triggered whenever the cache configuration is cleared
    *
    * @param {CacheConfigOptions} [options] Configuration options for the controller instance
    */
@@ -93,26 +280,47 @@ export class CacheConfigStore {
     return this.#current;
   }
 
+  /**
+   * Where the current config came from, or `null` if unknown or no config is loaded
+   */
+  get source() {
+    return this.#source;
+  }
+
+  /**
+   * Timestamp (ms since epoch) when the current config was set, or `null` if no config is loaded
+   */
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
   /**
    * Updates the current cache configuration with a new value.
    * Triggers the `onSet` callback if the new value is not `null`,
    * or the `onReset` callback if the new value is `null`.
+   * Resolves once the new config is applied: `onSet` runs in the background, unless
+   * `update.awaitOnSet` asks to wait for it (e.g. to keep a push event alive for its work).
    *
    * @param {CacheConfig | null} newCacheConfig the new cache configuration to set
+   * @param {CacheConfigUpdate} [update] how the new config was received; a `patch` narrows
+   * the change scope passed to `onSet` to the hosts and endpoints it touches
    */
-  set = async newCacheConfig => {
+  set = async (newCacheConfig, update = {}) => {
+    const { patch, source } = update;
     this.#clearScheduledCleanup();
     this.#current = newCacheConfig;
+    this.#source = newCacheConfig ? (source ?? null) : null;
+    this.#updatedAt = newCacheConfig ? Date.now() : null;
 
     if (newCacheConfig) {
       if (newCacheConfig.cacheTTL) {
         await saveConfigToIndexedDB(newCacheConfig);
         this.#scheduleCleanup(newCacheConfig.cacheTTL);
       }
-      this.onSet?.();
+      await this.#triggerOnSet(patch ? getPatchChangeScope(patch) : null, update);
     } else {
       await clearConfigFromIndexedDB();
-      this.onReset?.();
+      await this.onReset?.();
     }
   };
 
@@ -125,14 +333,27 @@ export class CacheConfigStore {
   };
 
   /**
-   * Attempts to load config from IndexedDB if still valid.
+   * Attempts to load config from IndexedDB if still valid: neither expired, nor rejected by
+   * `validateCacheConfig` (e.g. saved by an older version of the worker).
+   * Like `set`, it doesn't wait for `onSet` unless `update.awaitOnSet` is set.
    *
+   * @param {{ validationMode?: ValidationMode, update?: CacheConfigUpdate }} [options] the validation
+   * mode (see `validateCacheConfig`), and details passed to `onSet` along with the loaded config
+   * (e.g. the `warmUpBudget` of a background sync)
    * @returns {Promise<boolean>} true if fallback config was used
    */
-  loadFromCacheIfValid = async () => {
+  loadFromCacheIfValid = async ({ validationMode, update = {} } = {}) => {
     const saved = await loadConfigFromIndexedDB();
     if (!saved?.config || typeof saved.savedAt !== 'number') return false;
 
+    const { valid, errors } = validateCacheConfig(saved.config, { mode: validationMode });
+
+    if (!valid) {
+      logger.error('cache-config-store', 'Discarding invalid config from IndexedDB', errors);
+      await clearConfigFromIndexedDB();
+      return false;
+    }
+
     const { cacheTTL } = saved.config;
     if (!cacheTTL) return false;
 
@@ -141,8 +362,10 @@ export class CacheConfigStore {
 
     if (now < expiresAt) {
       this.#current = saved.config;
+      this.#source = 'indexeddb';
+      this.#updatedAt = saved.savedAt;
       this.#scheduleCleanup(expiresAt - now);
-      this.onSet?.();
+      await this.#triggerOnSet(null, { ...update, source: 'indexeddb' });
       return true;
     }
 
@@ -150,6 +373,27 @@ export class CacheConfigStore {
     return false;
   };
 
+  /**
+   * Runs the `onSet` callback, in the background unless `update.awaitOnSet` is set.
+   * Failures of background runs are logged, since nobody waits for them.
+   *
+   * @param {ConfigChangeScope | null} changeScope the part of the config that changed
+   * @param {CacheConfigUpdate} update how the new config was received
+   * @returns {Promise<void>}
+   */
+  async #triggerOnSet(changeScope, update) {
+    if (update.awaitOnSet) {
+      await this.onSet?.(changeScope, update);
+      return;
+    }
+
+    Promise.resolve()
+      .then(() => this.onSet?.(changeScope, update))
+      .catch(error =>
+        logger.error('cache-config-store', `Failed to apply the new config: ${error}`)
+      );
+  }
+
   /**
    * Schedules cleanup of config once TTL expires.
    *
@@ -173,6 +417,55 @@ export class CacheConfigStore {
     }
   }
 
+  /**
+   * Returns the compiled endpoint routes of a host config, compiling them on first use.
+   *
+   * @param {HostConfig} hostConfig the host config whose endpoints should be compiled
+   * @returns {CompiledRoute[]} the routes sorted from most to least specific
+   */
+  #getCompiledRoutes(hostConfig) {
+    let routes = this.#compiledRoutes.get(hostConfig);
+
+    if (!routes) {
+      routes = compileRoutes(Object.keys(hostConfig.endpoints || {}), (pattern, error) =>
+        logger.warn('cache-config-store', `Ignoring endpoint pattern '${pattern}': ${error}`)
+      );
+      this.#compiledRoutes.set(hostConfig, routes);
+    }
+
+    return routes;
+  }
+
+  /**
+   * Finds the host and the most specific endpoint pattern matching a `Request`.
+   *
+   * @param {Request} request the `Request` to match
+   * @returns {{
+   *   host: string,
+   *   hostConfig: HostConfig,
+   *   pattern?: string,
+   *   params: Record<string, string>,
+   *   endpointConfig?: EndpointConfig
+   * } | undefined} the match, or `undefined` if no config exists for the request's host
+   */
+  matchEndpoint = request => {
+    const url = new URL(request.url);
+    const host = url.origin;
+    const hostConfig = this.#current?.hosts?.[host];
+
+    if (!hostConfig) return;
+
+    const match = matchRoute(this.#getCompiledRoutes(hostConfig), getNormalizedPathname(url));
+
+    return {
+      host,
+      hostConfig,
+      pattern: match?.pattern,
+      params: match?.params ?? {},
+      endpointConfig: match ? hostConfig.endpoints[match.pattern] : undefined,
+    };
+  };
+
   /**
    * Retrieves the merged cache configuration for a specific `Request` object.
    * The resolution merges values from global, host, controller and endpoint levels,
@@ -180,40 +473,61 @@ export class CacheConfigStore {
    *
    * If no relevant configuration exists, returns `undefined`.
    *
+   * For a `graphql` endpoint, the settings of the request's operation are merged last.
+   * Requests that are not a GraphQL operation get no settings, and mutations and subscriptions
+   * get `network-only`. Only a persisted query hash, without the query text, doesn't tell the
+   * operation type: it is taken as a query for `GET` requests, or if the operation is configured
+   * with `type: 'query'`, and as a mutation otherwise.
+   *
    * @param {Request} request the `Request` for which cache configuration should be retrieved
    * @param {string[]} blackList list of origins to exclude from
+   * @param {GraphQLOperation | null} [graphqlOperation] the operation of a request to a `graphql` endpoint
    * @returns {CacheSettings | undefined} the merged cache settings object
    */
-  resolveRequestSettings = (request, blackList) => {
+  resolveRequestSettings = (request, blackList, graphqlOperation) => {
     if (!this.#current) {
       logger.warn('cache-config-store', 'Trying to resolve settings without a config');
       return;
     }
 
-    const url = new URL(request.url);
-    const { origin } = url;
+    const { origin } = new URL(request.url);
 
     if (blackList?.includes(origin)) {
       return;
     }
 
-    const hostConfig = this.#current.hosts?.[origin];
+    const endpointMatch = this.matchEndpoint(request);
 
-    if (!hostConfig) {
+    if (!endpointMatch) {
       logger.info('cache-config-store', `No host config found for ${origin}`);
       return;
     }
 
-    const cleanedPathname = getNormalizedPathname(url);
-    const endpointConfig = hostConfig.endpoints?.[cleanedPathname];
+    const { hostConfig, endpointConfig } = endpointMatch;
     const method = request.method.toUpperCase();
     const methodConfig = endpointConfig?.methods?.[method];
+    const graphqlConfig = endpointConfig?.graphql;
+
+    if (graphqlConfig && !graphqlOperation) {
+      logger.info(
+        'cache-config-store',
+        `Not a GraphQL operation: ${request.method} ${request.url}`
+      );
+      return;
+    }
+
+    const {
+      type: declaredType,
+      invalidatesOperations,
+      ...operationConfig
+    } = (graphqlConfig && findOperationSettings(graphqlConfig, graphqlOperation)) ?? {};
 
     const levels = [
       this.#current.settings,
       hostConfig.settings,
       endpointConfig?.settings,
       methodConfig,
+      graphqlConfig && operationConfig,
     ].filter(Boolean);
 
     if (!levels.length) {
@@ -225,10 +539,25 @@ export class CacheConfigStore {
       (acc, level) => ({
         ...acc,
         ...level,
+        key: { ...acc.key, ...level.key },
       }),
       {}
     );
 
+    if (graphqlConfig) {
+      const type =
+        graphqlOperation.type ?? declaredType ?? (method === 'GET' ? 'query' : 'mutation');
+
+      return {
+        keyHeaders: [],
+        prefetch: defaultPrefetchMode,
+        ...merged,
+        // Mutations and subscriptions are never cached
+        ...(type !== 'query' && { strategy: 'network-only' }),
+        graphqlOperation: { ...graphqlOperation, type },
+      };
+    }
+
     return {
       keyHeaders: [],
       prefetch: defaultPrefetchMode,
@@ -236,6 +565,63 @@ export class CacheConfigStore {
     };
   };
 
+  /**
+   * Returns the operations a successful GraphQL mutation invalidates, per its `invalidatesOperations`.
+   *
+   * @param {Request} request the mutation request
+   * @param {GraphQLOperation} graphqlOperation the operation of the request
+   * @returns {string[]} the names (or persisted query hashes) of the operations to invalidate,
+   * empty if none are configured
+   */
+  resolveInvalidatedOperations = (request, graphqlOperation) => {
+    const { endpointConfig } = this.matchEndpoint(request) ?? {};
+    const graphqlConfig = endpointConfig?.graphql;
+
+    return (
+      (graphqlConfig && findOperationSettings(graphqlConfig, graphqlOperation))
+        ?.invalidatesOperations ?? []
+    );
+  };
+
+  /**
+   * Returns the storage quotas a cached request counts against: one for every level
+   * (global, host, endpoint, method) that sets `maxEntries` or `maxBytes`, most specific first.
+   * A limit bounds all entries under its level, e.g. a host's `maxEntries` bounds the entries
+   * of all its endpoints together. `evictionPolicy` is inherited from higher levels.
+   *
+   * @param {Request} request the original (not cache key) `Request` of the entry
+   * @returns {StorageQuota[]} the quotas, empty if no level sets a limit
+   */
+  resolveQuotas = request => {
+    const endpointMatch = this.matchEndpoint(request);
+    if (!endpointMatch) return [];
+
+    const { host, hostConfig, pattern, endpointConfig } = endpointMatch;
+    const method = request.method.toUpperCase();
+    const endpointScope = `${host}/${normalizePath(pattern ?? '')}`;
+
+    const levels = [
+      ['*', this.#current.settings],
+      [host, hostConfig.settings],
+      [endpointScope, endpointConfig?.settings],
+      [`${method} ${endpointScope}`, endpointConfig?.methods?.[method]],
+    ];
+
+    const quotas = [];
+    let evictionPolicy = defaultEvictionPolicy;
+
+    levels.forEach(([scope, settings], level) => {
+      evictionPolicy = settings?.evictionPolicy ?? evictionPolicy;
+
+      if (settings?.maxEntries != null || settings?.maxBytes != null) {
+        const { maxEntries, maxBytes } = settings;
+        quotas.unshift({ scope, level, maxEntries, maxBytes, evictionPolicy });
+      }
+    });
+
+    return quotas;
+  };
+
   /**
    * Returns a list of prefetchable requests according to the config.
    * Can be filtered by specific `PrefetchMode` values.
@@ -246,7 +632,10 @@ export class CacheConfigStore {
   getPrefetchRequests = modes => {
     const requests = [];
 
-    for (const [request] of this.iterateConfigEntries()) {
+    for (const [request, , { path }] of this.iterateConfigEntries()) {
+      // Parameterized and wildcard endpoints have no concrete URL to prefetch
+      if (isDynamicPattern(path)) continue;
+
       const settings = this.resolveRequestSettings(request);
 
       if (settings && modes.includes(settings.prefetch ?? defaultPrefetchMode)) {
@@ -275,7 +664,7 @@ export class CacheConfigStore {
     for (const [host, hostConfig] of Object.entries(this.#current.hosts || {})) {
       for (const [path, endpointConfig] of Object.entries(hostConfig.endpoints || {})) {
         for (const [method, methodConfig] of Object.entries(endpointConfig.methods || {})) {
-          const url = `${host}/${path}`;
+          const url = `${host}/${normalizePath(path)}`;
           const request = new Request(url, { method: method.toUpperCase() });
 
           yield [
@@ -1,7 +1,47 @@
 import { logger } from './logger.js';
+import { applyJsonPatch } from './json-patch.js';
+import { validateCacheConfig } from './cache-config-validator.js';
 
 /**
  * @typedef {import('./cache-config-store.js').CacheConfig} CacheConfig
+ * @typedef {import('./json-patch.js').JsonPatchOperation} JsonPatchOperation
+ * @typedef {import('./api-cache-manager.js').InvalidationSelector} InvalidationSelector
+ * @typedef {import('./cache-config-validator.js').ValidationMode} ValidationMode
+ */
+
+/**
+ * An `INVALIDATE` message, deleting the cached entries matching `selector`.
+ * The optional `id` lets clients skip invalidations they already applied (e.g. when polled again).
+ *
+ * @typedef {Object} InvalidationMessage
+ * @property {string} [id]
+ * @property {InvalidationSelector} selector
+ */
+
+/**
+ * Where a `CacheConfig` came from: a `WebSocket` message, a fallback poll, a Web Push message,
+ * or the copy persisted in IndexedDB.
+ *
+ * @typedef {'websocket' | 'polling' | 'push' | 'indexeddb'} CacheConfigSource
+ */
+
+/**
+ * Extra information about how a new `CacheConfig` was received.
+ *
+ * @typedef {Object} CacheConfigUpdate
+ * @property {JsonPatchOperation[]} [patch] the JSON Patch that produced the new config, if it was a delta update
+ * @property {CacheConfigSource} [source] where the new config came from
+ * @property {DataBudget} [warmUpBudget] the data budget of the cache warm-up the update triggers,
+ * shared with the rest of the background sync that polled it
+ * @property {boolean} [awaitOnSet] whether applying the config waits for the sweep and warm-up
+ * it triggers (see `CacheConfigStore.set`), for callers that must keep their event alive for them
+ */
+
+/**
+ * A data budget shared by several downloads, decremented as they complete.
+ *
+ * @typedef {Object} DataBudget
+ * @property {number} remainingBytes the bytes left to download
  */
 
 /**
@@ -39,14 +79,23 @@ export class CacheConfigSyncClient {
    */
   #currentCacheConfig = null;
 
+  /**
+   * The server-assigned version of `#currentCacheConfig`, or `null` if unknown.
+   * @type {string | number | null}
+   */
+  #currentVersion = null;
+
   /**
    * Creates an instance of `CacheConfigSyncClient`.
    *
    * @typedef {Object} CacheConfigOptions
    *
-   * @property {(newCacheConfig: CacheConfig) => void} [onReceiveNewCacheConfig]
-   * Callback triggered when a new `cacheConfig` is received from the server.
-   * Receives the new `CacheConfig` object as an argument.
+   * @property {(newCacheConfig: CacheConfig, update: CacheConfigUpdate) => void | Promise<void>} [onReceiveNewCacheConfig]
+   * Callback triggered when a new `cacheConfig` is received from the server, either in full or as a patch.
+   * Receives the new `CacheConfig` object and details about the update as arguments.
+   *
+   * @property {(message: InvalidationMessage) => void | Promise<void>} [onInvalidate]
+   * Callback triggered when an `INVALIDATE` message is received, via `WebSocket` or polling.
    *
    * @property {() => void} [onConnect]
    * Callback triggered when the `WebSocket` connection is successfully established.
@@ -57,15 +106,31 @@ export class CacheConfigSyncClient {
    * @property {string} [fallbackPollingServerUrl]
    * The URL for fallback polling requests.
    *
+   * @property {ValidationMode} [validationMode]
+   * Whether unknown keys in received configs are rejected (`'strict'`) or only logged (`'lenient'`).
+   * Defaults to `'lenient'`.
+   *
    * @param {string | URL} url `WebSocket` server URL
    * @param {CacheConfigOptions} [options] configuration options for handling `WebSocket` events
    */
-  constructor(url, { onReceiveNewCacheConfig, onConnect, onDisconnect, fallbackPollingServerUrl }) {
+  constructor(
+    url,
+    {
+      onReceiveNewCacheConfig,
+      onInvalidate,
+      onConnect,
+      onDisconnect,
+      fallbackPollingServerUrl,
+      validationMode = 'lenient',
+    }
+  ) {
     this.onReceiveNewCacheConfig = onReceiveNewCacheConfig;
+    this.onInvalidate = onInvalidate;
     this.onConnect = onConnect;
     this.onDisconnect = onDisconnect;
     this.url = url;
     this.fallbackPollingServerUrl = fallbackPollingServerUrl;
+    this.validationMode = validationMode;
     this.resetReconnectBackoff();
   }
 
@@ -87,9 +152,10 @@ export class CacheConfigSyncClient {
    * Explicitly triggers a one-time config fetch from the server via HTTP polling.
    * This is used as a fallback when WebSocket is unavailable.
    *
+   * @param {CacheConfigUpdate} [update] details passed along with a polled config to `onReceiveNewCacheConfig`
    * @returns {Promise<void>} a promise that resolves when a config is successfully fetched and applied
    */
-  async poll() {
+  async poll(update = {}) {
     if (this.#isConnected) {
       logger.info('polling', 'Skipping fallback poll because WebSocket is connected');
       return;
@@ -104,27 +170,58 @@ export class CacheConfigSyncClient {
       const result = await fetch(this.fallbackPollingServerUrl);
 
       try {
-        const cacheConfig = await result.json();
+        const body = await result.json();
 
-        if (cacheConfig) {
-          this.#triggerReceiveNewCacheConfigIfHasChanges(cacheConfig);
+        if (Array.isArray(body) || typeof body?.type === 'string') {
+          // Messages in the same format as over the `WebSocket` (e.g. `INVALIDATE`)
+          for (const message of [body].flat()) {
+            await this.#dispatchMessage(message, { ...update, source: 'polling' });
+          }
+          logger.log('polling', 'Received messages via fallback HTTP poll');
+        } else if (body) {
+          if (!this.validateConfig(body)) return;
+
+          // Polled configs carry no version, so the next patch will request a resync
+          this.#currentVersion = null;
+          await this.#triggerReceiveNewCacheConfigIfHasChanges(body, {
+            ...update,
+            source: 'polling',
+          });
           logger.log('polling', 'Received config via fallback HTTP poll');
         } else {
-          logger.warn('polling', 'Invalid config response', cacheConfig);
+          logger.warn('polling', 'Invalid config response', body);
         }
       } catch (error) {
-        logger.error('polling', `Failed to parse config: ${error}`);
+        logger.error('polling', `Failed to handle polled response: ${error}`);
       }
     } catch (error) {
       logger.error('polling', `Failed to fetch config: ${error}`);
     }
   }
 
+  /**
+   * Whether the `WebSocket` connection is currently open.
+   */
+  get isConnected() {
+    return this.#isConnected;
+  }
+
+  /**
+   * The server-assigned version of the current config, or `null` if unknown.
+   */
+  get currentVersion() {
+    return this.#currentVersion;
+  }
+
   /**
    * Establishes a `WebSocket` connection and listens for incoming messages.
+   * Resolves once the first message is applied, i.e. its config is set on the store: the sweep
+   * and warm-up the new config triggers run in the background (see `CacheConfigStore.set`),
+   * so that the first fetch after a worker restart doesn't wait for them.
    *
    * @returns {Promise<boolean>} a promise that resolves with `true` if the connection is already open,
-   * @throws {Error} if an error occurs while connecting or handling messages
+   * or `false` once the first message has been applied
+   * @throws {Error} if the first message is invalid JSON or can't be applied
    */
   connect = () => {
     return new Promise((resolve, reject) => {
@@ -141,12 +238,7 @@ export class CacheConfigSyncClient {
       this.#socket.addEventListener('close', this.#handleClose);
       this.#socket.addEventListener('error', this.#handleError);
       this.#socket.addEventListener('message', event => {
-        try {
-          this.#handleMessage(event);
-          resolve(false);
-        } catch {
-          reject();
-        }
+        this.#handleMessage(event).then(() => resolve(false), reject);
       });
     });
   };
@@ -167,31 +259,60 @@ export class CacheConfigSyncClient {
    * Parses the message and delegates handling based on its type.
    *
    * @param {MessageEvent<string>} event the message event object
-   * @throws {Error} if the message is invalid JSON or has an unrecognized format
+   * @returns {Promise<void>} a promise that resolves once the message has been applied,
+   * and rejects if the message is invalid JSON or can't be applied
    */
-  #handleMessage = event => {
+  #handleMessage = async event => {
+    if (!event.data) {
+      logger.warn('cache-config-sync-client', 'Empty message from WebSocket');
+      return;
+    }
+
+    let message;
+
     try {
-      if (event.data) {
-        const { type, data } = JSON.parse(event.data);
-
-        if (type === 'CACHE_CONFIG') {
-          try {
-            this.#triggerReceiveNewCacheConfigIfHasChanges(data);
-            logger.log('cache-config-sync-client', 'Got cacheConfig', data);
-          } catch (error) {
-            logger.error('cache-config-sync-client', `Failed to update cacheConfig: ${error}`);
-            throw error;
-          }
-        } else {
-          logger.warn('cache-config-sync-client', `Unknown message type: ${type}`);
-        }
-      } else {
-        logger.warn('cache-config-sync-client', 'Empty message from WebSocket');
-      }
+      message = JSON.parse(event.data);
     } catch (error) {
       logger.error('cache-config-sync-client', `Invalid JSON: ${error}`, event.data);
       throw error;
     }
+
+    try {
+      await this.#dispatchMessage(message);
+    } catch (error) {
+      logger.error('cache-config-sync-client', `Failed to handle '${message?.type}': ${error}`);
+      throw error;
+    }
+  };
+
+  /**
+   * Handles a parsed server message, received via `WebSocket` or polling.
+   *
+   * @param {{ type: string, [key: string]: unknown }} message the server message
+   * @param {CacheConfigUpdate} [update] how the message was received
+   * @returns {Promise<void>} a promise that resolves once the message has been applied,
+   * and rejects if it can't be applied
+   */
+  #dispatchMessage = async (message, update = { source: 'websocket' }) => {
+    const { type, data, version, baseVersion, patch, id, selector } = message ?? {};
+
+    if (type === 'CACHE_CONFIG') {
+      if (!this.validateConfig(data, version)) return;
+
+      this.#currentVersion = version ?? null;
+      logger.log('cache-config-sync-client', 'Got cacheConfig', data);
+      await this.#triggerReceiveNewCacheConfigIfHasChanges(data, update);
+    } else if (type === 'CACHE_CONFIG_PATCH') {
+      await this.#handlePatch(patch, baseVersion, version, update);
+    } else if (type === 'INVALIDATE') {
+      if (selector && typeof selector === 'object') {
+        await this.onInvalidate?.({ id, selector });
+      } else {
+        logger.warn('cache-config-sync-client', 'Ignoring INVALIDATE message without a selector');
+      }
+    } else {
+      logger.warn('cache-config-sync-client', `Unknown message type: ${type}`);
+    }
   };
 
   /**
@@ -233,14 +354,123 @@ export class CacheConfigSyncClient {
     this.#socket?.close();
   };
 
-  #triggerReceiveNewCacheConfigIfHasChanges = newCacheConfig => {
+  /**
+   * Applies a `CACHE_CONFIG_PATCH` message on top of the current config.
+   * Requests a full resync instead if the patch's base version doesn't match the current version,
+   * or if the patch can't be applied.
+   *
+   * @param {JsonPatchOperation[]} patch the RFC 6902 JSON Patch operations
+   * @param {string | number} baseVersion the version the patch applies to
+   * @param {string | number} version the version the patch produces
+   * @param {CacheConfigUpdate} update how the patch was received
+   * @returns {Promise<void> | void}
+   */
+  #handlePatch = (patch, baseVersion, version, update) => {
+    if (
+      this.#currentCacheConfig === null ||
+      this.#currentVersion === null ||
+      baseVersion !== this.#currentVersion
+    ) {
+      logger.warn(
+        'cache-config-sync-client',
+        `Config version mismatch (current: ${this.#currentVersion}, patch base: ${baseVersion})`
+      );
+      this.#requestResync();
+      return;
+    }
+
+    let newCacheConfig;
+
+    try {
+      newCacheConfig = applyJsonPatch(this.#currentCacheConfig, patch);
+    } catch (error) {
+      logger.error('cache-config-sync-client', `Failed to apply config patch: ${error}`);
+      this.#requestResync();
+      return;
+    }
+
+    if (!this.validateConfig(newCacheConfig, version)) return;
+
+    this.#currentCacheConfig = newCacheConfig;
+    this.#currentVersion = version;
+    logger.log('cache-config-sync-client', `Patched cacheConfig to version ${version}`, patch);
+    return this.onReceiveNewCacheConfig?.(newCacheConfig, { ...update, patch });
+  };
+
+  /**
+   * Applies a full config received outside of the `WebSocket` and polling (e.g. via Web Push).
+   * It becomes the base of later patches at its `version`, so that a patch based on an older
+   * version requests a resync instead of reverting it. Invalid configs are rejected (see `validateConfig`).
+   *
+   * @param {unknown} config the received config
+   * @param {string | number | null} [version] the version of the config, `null` if unknown
+   * @param {CacheConfigUpdate} [update] details passed along with the config to `onReceiveNewCacheConfig`
+   * @returns {Promise<boolean>} `true` once the config has been applied, `false` if it was rejected
+   */
+  receiveConfig = async (config, version = null, update = {}) => {
+    if (!this.validateConfig(config, version)) return false;
+
+    this.#currentVersion = version;
+    await this.#triggerReceiveNewCacheConfigIfHasChanges(config, update);
+    return true;
+  };
+
+  /**
+   * Validates a received config before it replaces the current one.
+   * An invalid config is rejected: the last valid config and its version are kept,
+   * and a `CACHE_CONFIG_REJECTED` message with the errors is sent to the server.
+   *
+   * @param {unknown} config the received config
+   * @param {string | number | null} [version] the version of the received config, if known
+   * @returns {boolean} `true` if the config can be applied
+   */
+  validateConfig = (config, version = null) => {
+    const { valid, errors, warnings } = validateCacheConfig(config, { mode: this.validationMode });
+
+    for (const { path, message } of warnings) {
+      logger.warn('cache-config-sync-client', `Config ${path} ${message}`);
+    }
+
+    if (!valid) {
+      logger.error(
+        'cache-config-sync-client',
+        `Rejected config${version === null ? '' : ` version ${version}`}, keeping the last valid one`,
+        errors
+      );
+      this.#send({ type: 'CACHE_CONFIG_REJECTED', version, errors });
+    }
+
+    return valid;
+  };
+
+  /**
+   * Asks the server to send the full config again, along with the version it is at.
+   */
+  #requestResync = () => {
+    this.#send({ type: 'CACHE_CONFIG_RESYNC', version: this.#currentVersion });
+  };
+
+  /**
+   * Sends a message to the server if the `WebSocket` is open.
+   *
+   * @param {{ type: string }} message the message to send
+   */
+  #send = message => {
+    if (this.#socket?.readyState === WebSocket.OPEN) {
+      this.#socket.send(JSON.stringify(message));
+    } else {
+      logger.warn('cache-config-sync-client', `Cannot send '${message.type}', WebSocket is closed`);
+    }
+  };
+
+  #triggerReceiveNewCacheConfigIfHasChanges = (newCacheConfig, update) => {
     if (!this.onReceiveNewCacheConfig) return;
 
     const hasChange = JSON.stringify(newCacheConfig) !== JSON.stringify(this.#currentCacheConfig);
 
     if (hasChange) {
       this.#currentCacheConfig = newCacheConfig;
-      this.onReceiveNewCacheConfig?.(newCacheConfig);
+      return this.onReceiveNewCacheConfig?.(newCacheConfig, update);
     }
   };
 }
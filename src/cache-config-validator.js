@@ -0,0 +1,358 @@
+import { strategies } from './cache-strategies.js';
+import { resolveKeySettings } from './cache-key-normalizer.js';
+import { compileRoutePattern } from './route-matcher.js';
+
+/**
+ * Validates incoming `CacheConfig` objects before they replace the current one.
+ * Every issue carries the JSON Pointer of the offending value (as used by `CACHE_CONFIG_PATCH`),
+ * e.g. `/hosts/https:~1~1api.example.com/endpoints/users/methods/GET/ttl`.
+ *
+ * @typedef {import('./cache-config-store.js').CacheConfig} CacheConfig
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} path JSON Pointer to the offending value
+ * @property {string} message what is wrong with it
+ */
+
+/**
+ * @typedef {Object} ValidationResult
+ * @property {boolean} valid `true` if there are no errors
+ * @property {ValidationIssue[]} errors issues that make the config unusable
+ * @property {ValidationIssue[]} warnings issues that are tolerated (unknown keys in `'lenient'` mode)
+ */
+
+/**
+ * Whether unknown keys are tolerated (`'lenient'`, reported as warnings) or rejected (`'strict'`).
+ *
+ * @typedef {'strict' | 'lenient'} ValidationMode
+ */
+
+/**
+ * Checks a single value, returning an error message, or `undefined` if the value is valid.
+ * Nested checks report their issues through `context` instead.
+ *
+ * @typedef {(value: unknown, path: string, context: ValidationContext) => string | undefined} Check
+ */
+
+/**
+ * @typedef {Object} ValidationContext
+ * @property {ValidationMode} mode
+ * @property {ValidationIssue[]} errors
+ * @property {ValidationIssue[]} warnings
+ */
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const isInteger = value => Number.isInteger(value);
+
+/**
+ * Escapes a reference token for use in a JSON Pointer.
+ *
+ * @param {string} token
+ * @returns {string}
+ */
+function escapePointerToken(token) {
+  return token.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/** @type {(min: number) => Check} */
+const numberAtLeast = min => value =>
+  typeof value !== 'number' || !Number.isFinite(value) || value < min
+    ? `must be a number >= ${min}`
+    : undefined;
+
+/** @type {(min: number) => Check} */
+const integerAtLeast = min => value =>
+  !isInteger(value) || value < min ? `must be an integer >= ${min}` : undefined;
+
+/** @type {Check} */
+const positiveNumber = value =>
+  typeof value !== 'number' || !Number.isFinite(value) || value <= 0
+    ? 'must be a positive number'
+    : undefined;
+
+/** @type {Check} */
+const boolean = value => (typeof value !== 'boolean' ? 'must be a boolean' : undefined);
+
+/** @type {Check} */
+const string = value =>
+  typeof value !== 'string' || !value ? 'must be a non-empty string' : undefined;
+
+/** @type {(values: string[]) => Check} */
+const oneOf = values => value =>
+  !values.includes(value) ? `must be one of ${values.map(v => `'${v}'`).join(', ')}` : undefined;
+
+/** @type {Check} */
+const stringArray = value =>
+  !Array.isArray(value) || value.some(item => typeof item !== 'string')
+    ? 'must be an array of strings'
+    : undefined;
+
+/** @type {Check} */
+const stringRecord = value =>
+  !isPlainObject(value) || Object.values(value).some(item => typeof item !== 'string')
+    ? 'must be an object with string values'
+    : undefined;
+
+/** @type {Check} */
+const endpointPattern = value => {
+  if (typeof value !== 'string') return 'must be a string';
+
+  try {
+    compileRoutePattern(value);
+  } catch (error) {
+    return error.message;
+  }
+};
+
+/** @type {Check} */
+const statusRanges = (value, path, context) => {
+  if (!Array.isArray(value)) return 'must be an array of [min, max] status ranges';
+
+  value.forEach((range, i) => {
+    const isValidRange =
+      Array.isArray(range) &&
+      range.length === 2 &&
+      range.every(status => isInteger(status) && status >= 100 && status <= 599) &&
+      range[0] <= range[1];
+
+    if (!isValidRange) {
+      context.errors.push({
+        path: `${path}/${i}`,
+        message: 'must be a [min, max] range of statuses between 100 and 599',
+      });
+    }
+  });
+};
+
+/**
+ * Creates a check validating an object against a map of per-key checks.
+ * Unknown keys are reported as errors in `'strict'` mode and as warnings otherwise.
+ *
+ * @param {Record<string, Check>} shape the checks per known key
+ * @param {string[]} [required] keys that must be present
+ * @returns {Check}
+ */
+function objectOf(shape, required = []) {
+  return (value, path, context) => {
+    if (!isPlainObject(value)) return 'must be an object';
+
+    for (const key of required) {
+      if (value[key] === undefined) {
+        context.errors.push({ path: `${path}/${escapePointerToken(key)}`, message: 'is required' });
+      }
+    }
+
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = `${path}/${escapePointerToken(key)}`;
+
+      if (!Object.hasOwn(shape, key)) {
+        const issues = context.mode === 'strict' ? context.errors : context.warnings;
+        issues.push({ path: itemPath, message: 'is not a known key' });
+        continue;
+      }
+
+      if (item !== undefined) {
+        check(shape[key], item, itemPath, context);
+      }
+    }
+  };
+}
+
+/**
+ * Creates a check validating every value of a map, and optionally its keys.
+ *
+ * @param {Check} valueCheck the check for each value
+ * @param {Check} [keyCheck] the check for each key
+ * @returns {Check}
+ */
+function recordOf(valueCheck, keyCheck) {
+  return (value, path, context) => {
+    if (!isPlainObject(value)) return 'must be an object';
+
+    for (const [key, item] of Object.entries(value)) {
+      const itemPath = `${path}/${escapePointerToken(key)}`;
+
+      if (keyCheck) {
+        const message = keyCheck(key, itemPath, context);
+        if (message) {
+          context.errors.push({ path: itemPath, message: `invalid key '${key}': ${message}` });
+          continue;
+        }
+      }
+
+      check(valueCheck, item, itemPath, context);
+    }
+  };
+}
+
+/**
+ * Creates a check validating every item of an array.
+ *
+ * @param {Check} itemCheck the check for each item
+ * @returns {Check}
+ */
+function arrayOf(itemCheck) {
+  return (value, path, context) => {
+    if (!Array.isArray(value)) return 'must be an array';
+
+    value.forEach((item, i) => check(itemCheck, item, `${path}/${i}`, context));
+  };
+}
+
+/**
+ * Runs a check and records its error message, if any.
+ *
+ * @param {Check} checkFn
+ * @param {unknown} value
+ * @param {string} path
+ * @param {ValidationContext} context
+ */
+function check(checkFn, value, path, context) {
+  const message = checkFn(value, path, context);
+
+  if (message) {
+    context.errors.push({ path: path || '/', message });
+  }
+}
+
+/** @type {Check} */
+const cacheKeySettings = objectOf(
+  Object.fromEntries(Object.keys(resolveKeySettings()).map(name => [name, boolean]))
+);
+
+const cacheSettingsShape = {
+  lastModified: numberAtLeast(0),
+  ttl: numberAtLeast(0),
+  keyHeaders: stringArray,
+  prefetch: oneOf(['always', 'on-load', 'on-update', 'never']),
+  strategy: oneOf(Object.keys(strategies)),
+  networkTimeoutMs: positiveNumber,
+  cacheIfStatusIn: statusRanges,
+  key: cacheKeySettings,
+  debounce: numberAtLeast(0),
+  maxConcurrent: integerAtLeast(1),
+  maxQueueLength: integerAtLeast(0),
+  queueOverflowResponse: objectOf({
+    status: value =>
+      !isInteger(value) || value < 200 || value > 599
+        ? 'must be an integer between 200 and 599'
+        : undefined,
+    statusText: value => (typeof value !== 'string' ? 'must be a string' : undefined),
+    body: value => (typeof value !== 'string' ? 'must be a string' : undefined),
+    headers: stringRecord,
+  }),
+  cancelPrevious: boolean,
+  cancelPreviousBehavior: oneOf(['reject', 'latest']),
+  offlineQueue: (value, path, context) =>
+    typeof value === 'boolean'
+      ? undefined
+      : objectOf({ maxRetries: integerAtLeast(1) })(value, path, context),
+  tagsHeader: string,
+  maxEntries: integerAtLeast(1),
+  maxBytes: positiveNumber,
+  evictionPolicy: oneOf(['lru', 'lfu']),
+  encrypt: boolean,
+  invalidates: arrayOf(
+    objectOf({ path: endpointPattern, method: string, host: string, rewarm: boolean }, ['path'])
+  ),
+};
+
+/** @type {Check} */
+const cacheSettings = objectOf(cacheSettingsShape);
+
+/** @type {Check} */
+const graphqlOperationSettings = objectOf({
+  ...cacheSettingsShape,
+  type: oneOf(['query', 'mutation', 'subscription']),
+  invalidatesOperations: stringArray,
+});
+
+/** @type {Check} */
+const endpointConfig = objectOf({
+  settings: cacheSettings,
+  methods: recordOf(cacheSettings, method =>
+    !/^[A-Z]+$/.test(method) ? 'must be an uppercase HTTP method' : undefined
+  ),
+  graphql: objectOf({ operations: recordOf(graphqlOperationSettings) }),
+});
+
+/** @type {Check} */
+const hostConfig = objectOf({
+  settings: cacheSettings,
+  endpoints: recordOf(endpointConfig, endpointPattern),
+});
+
+/**
+ * Creates a check accepting a single value or an array of values.
+ *
+ * @param {Check} itemCheck the check for the value, or for each item
+ * @returns {Check}
+ */
+function oneOrArrayOf(itemCheck) {
+  return (value, path, context) =>
+    Array.isArray(value)
+      ? arrayOf(itemCheck)(value, path, context)
+      : itemCheck(value, path, context);
+}
+
+/** @type {Check} */
+const assetRuleShape = objectOf({
+  destination: oneOrArrayOf(
+    oneOf([
+      'audio',
+      'document',
+      'font',
+      'image',
+      'manifest',
+      'script',
+      'style',
+      'track',
+      'video',
+      'worker',
+    ])
+  ),
+  match: oneOrArrayOf(string),
+  strategy: oneOf(Object.keys(strategies)),
+  maxEntries: integerAtLeast(1),
+  maxAgeMs: numberAtLeast(0),
+  networkTimeoutMs: positiveNumber,
+});
+
+/** @type {Check} */
+const assetRule = (value, path, context) =>
+  assetRuleShape(value, path, context) ??
+  (value.destination === undefined && value.match === undefined
+    ? 'must have a destination or match'
+    : undefined);
+
+/** @type {Check} */
+const cacheConfig = objectOf(
+  {
+    settings: cacheSettings,
+    hosts: recordOf(hostConfig),
+    cacheTTL: numberAtLeast(0),
+    fallbackPollingIntervalMs: positiveNumber,
+    assets: arrayOf(assetRule),
+  },
+  ['hosts']
+);
+
+/**
+ * Validates a `CacheConfig`, collecting every issue rather than stopping at the first one.
+ *
+ * @param {unknown} config the config to validate
+ * @param {{ mode?: ValidationMode }} [options] `'strict'` rejects unknown keys,
+ * `'lenient'` only warns about them. Defaults to `'lenient'`
+ * @returns {ValidationResult} the validation result
+ */
+export function validateCacheConfig(config, { mode = 'lenient' } = {}) {
+  /** @type {ValidationContext} */
+  const context = { mode, errors: [], warnings: [] };
+
+  check(cacheConfig, config, '', context);
+
+  return { valid: !context.errors.length, errors: context.errors, warnings: context.warnings };
+}
@@ -0,0 +1,210 @@
+/* global crypto */
+import { defineObjectStore } from './indexed-db-store.js';
+import { bytesToBase64, base64ToBytes } from './encoding.js';
+
+/**
+ * Encryption at rest for cached API responses (`encrypt: true`).
+ * Bodies and headers are encrypted with AES-GCM under a non-extractable `CryptoKey`,
+ * which is kept in IndexedDB (as a structured clone, so the raw key material never leaves WebCrypto).
+ * Entries encrypted under a previous key can no longer be decrypted once the key is rotated or wiped.
+ */
+
+/**
+ * @typedef {Object} StoredEncryptionKey
+ * @property {string} id Identifies the key in the `encryptionKeyIdHeader` of the entries it encrypted
+ * @property {CryptoKey} key The non-extractable AES-GCM key
+ * @property {number} createdAt Timestamp (ms since epoch) when the key was generated
+ */
+
+/** Header of encrypted cached responses holding the ID of the key they were encrypted with */
+export const encryptionKeyIdHeader = 'x-full-cache-key-id';
+
+/** Header of encrypted cached responses holding the encrypted original headers */
+const encryptedHeadersHeader = 'x-full-cache-encrypted-headers';
+
+const currentKey = 'current';
+const ivLength = 12;
+
+const withStore = defineObjectStore('api-cache-keys', 'keys');
+
+/**
+ * The current key, loaded from IndexedDB (or generated) on first use.
+ * @type {Promise<StoredEncryptionKey> | null}
+ */
+let keyPromise = null;
+
+/**
+ * Generates a new non-extractable key and stores it as the current key.
+ *
+ * @returns {Promise<StoredEncryptionKey>}
+ */
+async function generateKey() {
+  const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, [
+    'encrypt',
+    'decrypt',
+  ]);
+
+  /** @type {StoredEncryptionKey} */
+  const storedKey = { id: crypto.randomUUID(), key, createdAt: Date.now() };
+  await withStore('readwrite', store => store.put(storedKey, currentKey));
+
+  return storedKey;
+}
+
+/**
+ * Returns the current key, generating one on first use.
+ *
+ * @returns {Promise<StoredEncryptionKey>}
+ */
+export function getEncryptionKey() {
+  keyPromise ??= withStore('readonly', store => store.get(currentKey))
+    .then(storedKey => storedKey ?? generateKey())
+    .catch(error => {
+      keyPromise = null;
+      throw error;
+    });
+
+  return keyPromise;
+}
+
+/**
+ * Replaces the current key with a new one. Entries encrypted with the previous key
+ * can no longer be decrypted and are treated as cache misses.
+ *
+ * @returns {Promise<StoredEncryptionKey>} the new key
+ */
+export function rotateEncryptionKey() {
+  keyPromise = generateKey().catch(error => {
+    keyPromise = null;
+    throw error;
+  });
+
+  return keyPromise;
+}
+
+/**
+ * Deletes the current key (e.g. on logout), making all encrypted entries unreadable.
+ * A new key is generated the next time an entry is encrypted.
+ *
+ * @returns {Promise<void>}
+ */
+export async function wipeEncryptionKey() {
+  keyPromise = null;
+  await withStore('readwrite', store => store.delete(currentKey));
+}
+
+/**
+ * Encrypts data with a fresh IV, returning the IV followed by the ciphertext.
+ *
+ * @param {CryptoKey} key
+ * @param {BufferSource} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function encrypt(key, data) {
+  const iv = crypto.getRandomValues(new Uint8Array(ivLength));
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, data);
+
+  const result = new Uint8Array(ivLength + ciphertext.byteLength);
+  result.set(iv);
+  result.set(new Uint8Array(ciphertext), ivLength);
+
+  return result;
+}
+
+/**
+ * Decrypts data produced by `encrypt`.
+ *
+ * @param {CryptoKey} key
+ * @param {Uint8Array} data the IV followed by the ciphertext
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} if the data was tampered with or encrypted with another key
+ */
+function decrypt(key, data) {
+  return crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: data.subarray(0, ivLength) },
+    key,
+    data.subarray(ivLength)
+  );
+}
+
+/**
+ * Encrypts the body and headers of a response before it is stored.
+ * The headers listed in `plaintextHeaders` (e.g. the cache timestamp) stay readable,
+ * so entries can be swept and invalidated without decrypting them.
+ *
+ * @param {Response} response the response to encrypt
+ * @param {string[]} plaintextHeaders names of the headers to keep unencrypted
+ * @returns {Promise<Response>} the encrypted response
+ */
+export async function encryptResponse(response, plaintextHeaders) {
+  const { id, key } = await getEncryptionKey();
+  const headers = [...response.headers].filter(([name]) => !plaintextHeaders.includes(name));
+
+  const encryptedHeaders = await encrypt(key, new TextEncoder().encode(JSON.stringify(headers)));
+  // Responses with a null body status (e.g. `204`) must not get a body
+  const encryptedBody = response.body && (await encrypt(key, await response.arrayBuffer()));
+
+  return new Response(encryptedBody, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: [
+      ...[...response.headers].filter(([name]) => plaintextHeaders.includes(name)),
+      [encryptionKeyIdHeader, id],
+      [encryptedHeadersHeader, bytesToBase64(encryptedHeaders)],
+    ],
+  });
+}
+
+/**
+ * Hashes a cache key value with SHA-256, so that the keys of encrypted entries don't hold
+ * request bodies or header values (e.g. tokens) in plaintext while staying deterministic.
+ *
+ * @param {string} value the value to hash
+ * @returns {Promise<string>} the hex-encoded hash, prefixed with `sha256-`
+ */
+export async function hashKeyValue(value) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+
+  return `sha256-${hex}`;
+}
+
+/**
+ * Checks whether a cached response was encrypted by `encryptResponse`.
+ *
+ * @param {Response} response the cached response
+ * @returns {boolean}
+ */
+export function isEncryptedResponse(response) {
+  return response.headers.has(encryptionKeyIdHeader);
+}
+
+/**
+ * Decrypts a cached response encrypted by `encryptResponse`.
+ *
+ * @param {Response} response the encrypted cached response
+ * @returns {Promise<Response | null>} the decrypted response, or `null` if it was encrypted
+ * with a key that has since been rotated or wiped
+ * @throws {Error} if the response is corrupted
+ */
+export async function decryptResponse(response) {
+  const { id, key } = await getEncryptionKey();
+
+  if (response.headers.get(encryptionKeyIdHeader) !== id) {
+    return null;
+  }
+
+  const encryptedHeaders = base64ToBytes(response.headers.get(encryptedHeadersHeader) ?? '');
+  const headers = JSON.parse(new TextDecoder().decode(await decrypt(key, encryptedHeaders)));
+  const body = response.body && (await decrypt(key, new Uint8Array(await response.arrayBuffer())));
+
+  const plaintextHeaders = [...response.headers].filter(
+    ([name]) => name !== encryptionKeyIdHeader && name !== encryptedHeadersHeader
+  );
+
+  return new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: [...headers, ...plaintextHeaders],
+  });
+}
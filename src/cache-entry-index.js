@@ -0,0 +1,140 @@
+import { defineObjectStore } from './indexed-db-store.js';
+
+/**
+ * Lightweight IndexedDB index of the cached API entries, keyed by cache key URL.
+ * Tracks the size, last access time and hit count of every entry, so storage quotas
+ * can be enforced without reading the cached responses.
+ */
+
+/**
+ * @typedef {Object} CacheEntryRecord
+ * @property {string} url The cache key URL of the entry
+ * @property {number} size Size of the response body in bytes
+ * @property {number} storedAt Timestamp (ms since epoch) when the entry was last written
+ * @property {number} lastAccessedAt Timestamp (ms since epoch) when the entry was last written or served
+ * @property {number} hits Number of times the entry was served from the cache
+ */
+
+const withStore = defineObjectStore('api-cache-index', 'entries', { keyPath: 'url' });
+
+/**
+ * Records that an entry was written, keeping its hit count.
+ *
+ * @param {string} url the cache key URL
+ * @param {number} size the size of the response body in bytes
+ * @returns {Promise<void>}
+ */
+export async function recordEntryWrite(url, size) {
+  await withStore('readwrite', store => {
+    const request = store.get(url);
+
+    request.onsuccess = () => {
+      const now = Date.now();
+      store.put({ hits: 0, ...request.result, url, size, storedAt: now, lastAccessedAt: now });
+    };
+  });
+}
+
+/**
+ * Delay in milliseconds during which cache hits are collected before being written in one transaction.
+ */
+const accessFlushDelayMs = 1000;
+
+/**
+ * Cache hits not yet written to the index, by cache key URL.
+ * @type {Map<string, { hits: number, lastAccessedAt: number }>}
+ */
+const pendingAccesses = new Map();
+
+/** Pending write of `pendingAccesses`, shared by the hits it collects */
+let accessFlushPromise = null;
+
+/**
+ * Records that an entry was served from the cache. Hits are collected for `accessFlushDelayMs`
+ * and written in a single transaction, so cache hits don't each open IndexedDB.
+ * Entries without a record (e.g. stored before the index existed) are left to `enforceQuotas`.
+ *
+ * @param {string} url the cache key URL
+ * @returns {Promise<void>} a promise that resolves once the hit has been written
+ */
+export function recordEntryAccess(url) {
+  const pending = pendingAccesses.get(url);
+  pendingAccesses.set(url, { hits: (pending?.hits ?? 0) + 1, lastAccessedAt: Date.now() });
+
+  accessFlushPromise ??= new Promise(resolve => setTimeout(resolve, accessFlushDelayMs)).then(
+    () => {
+      accessFlushPromise = null;
+      return flushEntryAccesses();
+    }
+  );
+
+  return accessFlushPromise;
+}
+
+/**
+ * Writes the collected cache hits to the index.
+ *
+ * @returns {Promise<void>}
+ */
+async function flushEntryAccesses() {
+  const accesses = [...pendingAccesses];
+  pendingAccesses.clear();
+
+  await withStore('readwrite', store => {
+    for (const [url, { hits, lastAccessedAt }] of accesses) {
+      const request = store.get(url);
+
+      request.onsuccess = () => {
+        if (request.result) {
+          store.put({ ...request.result, hits: request.result.hits + hits, lastAccessedAt });
+        }
+      };
+    }
+  });
+}
+
+/**
+ * Adds or replaces the records of the given entries.
+ *
+ * @param {CacheEntryRecord[]} records the records to write
+ * @returns {Promise<void>}
+ */
+export async function putEntryRecords(records) {
+  if (!records.length) return;
+
+  await withStore('readwrite', store => {
+    records.forEach(record => store.put(record));
+  });
+}
+
+/**
+ * Returns the records of all indexed entries.
+ *
+ * @returns {Promise<CacheEntryRecord[]>}
+ */
+export async function getEntryRecords() {
+  return (await withStore('readonly', store => store.getAll())) ?? [];
+}
+
+/**
+ * Deletes the records of the given entries.
+ *
+ * @param {string[]} urls the cache key URLs
+ * @returns {Promise<void>}
+ */
+export async function deleteEntryRecords(urls) {
+  if (!urls.length) return;
+
+  await withStore('readwrite', store => {
+    urls.forEach(url => store.delete(url));
+  });
+}
+
+/**
+ * Deletes all records.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearEntryRecords() {
+  await withStore('readwrite', store => store.clear());
+}
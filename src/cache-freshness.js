@@ -0,0 +1,44 @@
+/**
+ * @typedef {import('./cache-config-store.js').CacheSettings} CacheSettings
+ */
+
+/**
+ * The verdict of a freshness evaluation:
+ * - `fresh`: the entry can be served as-is
+ * - `stale`: the entry is known to be outdated (older than `lastModified`, or has no valid timestamp)
+ * - `expired`: the entry outlived its `ttl`, but there is no evidence the data actually changed
+ *
+ * @typedef {'fresh' | 'stale' | 'expired'} Freshness
+ */
+
+/**
+ * Evaluates the freshness of a cached `Response` against its resolved settings.
+ *
+ * `lastModified` takes precedence: when set, the entry is fresh if it was stored at or after it,
+ * and stale otherwise. Only when `lastModified` is missing does `ttl` decide, relative to the
+ * time the entry was stored. Entries with neither setting never expire.
+ *
+ * @param {Response} response the cached `Response` to evaluate
+ * @param {CacheSettings} settings the resolved settings for the request the response belongs to
+ * @param {string} cacheTimestampHeader the header name used to store the cache timestamp
+ * @param {number} [now] the current time in milliseconds since epoch
+ * @returns {Freshness} the freshness verdict of the cached response
+ */
+export function evaluateFreshness(response, settings, cacheTimestampHeader, now = Date.now()) {
+  const timestampHeader = response.headers.get(cacheTimestampHeader);
+  const cachedTimestamp = timestampHeader ? +timestampHeader : NaN;
+
+  if (!Number.isFinite(cachedTimestamp)) {
+    return 'stale';
+  }
+
+  if (typeof settings.lastModified === 'number') {
+    return cachedTimestamp >= settings.lastModified ? 'fresh' : 'stale';
+  }
+
+  if (typeof settings.ttl === 'number') {
+    return now - cachedTimestamp <= settings.ttl ? 'fresh' : 'expired';
+  }
+
+  return 'fresh';
+}
@@ -0,0 +1,265 @@
+/**
+ * Normalizes query parameters and request bodies according to the `key` settings,
+ * so that semantically identical requests produce the same cache key.
+ * All functions are pure and deterministic: the same input and options always yield the same output.
+ */
+
+/**
+ * @typedef {import('./cache-config-store.js').CacheKeySettings} CacheKeySettings
+ */
+
+/**
+ * Default values for every `key` option.
+ * @type {Required<CacheKeySettings>}
+ */
+const defaultKeySettings = {
+  ignoreQueryKeysOrder: true,
+  ignoreBodyKeysOrder: true,
+  ignoreBodyKeysOrderRecursively: true,
+  ignoreArraysOrder: true,
+  ignoreQueryKeysCase: true,
+  ignoreBodyKeysCase: true,
+  ignoreQueryValuesCase: false,
+  ignoreBodyValuesCase: false,
+  normalizeNumericValues: false,
+  trimStringValues: false,
+  ignoreNullishQueryParams: true,
+  ignoreNullishBodyKeys: true,
+  ignoreNullishBodyKeysRecursively: true,
+  includeQueryParams: true,
+  includeRequestBody: true,
+};
+
+/**
+ * Matches decimal numeric strings, e.g. `10`, `-10.50`, `.5`, `1e3`.
+ */
+const numericStringRegex = /^[-+]?(\d+(\.\d*)?|\.\d+)(e[-+]?\d+)?$/i;
+
+/**
+ * Query or form values considered nullish, as sent by clients serializing `null` / `undefined`.
+ */
+const nullishParamValues = ['', 'null', 'undefined'];
+
+/**
+ * Fills the missing `key` options with their defaults.
+ *
+ * @param {CacheKeySettings} [keySettings] the resolved `key` settings of the request
+ * @returns {Required<CacheKeySettings>} the complete `key` options
+ */
+export function resolveKeySettings(keySettings) {
+  return { ...defaultKeySettings, ...keySettings };
+}
+
+/**
+ * Normalizes a single string value: trims it, folds its case and canonicalizes numeric strings,
+ * depending on the given options.
+ *
+ * @param {string} value the string to normalize
+ * @param {{ trim: boolean, ignoreCase: boolean, normalizeNumeric: boolean }} options
+ * @returns {string} the normalized string
+ */
+function normalizeString(value, { trim, ignoreCase, normalizeNumeric }) {
+  let normalized = trim ? value.trim() : value;
+
+  if (ignoreCase) {
+    normalized = normalized.toLowerCase();
+  }
+
+  if (normalizeNumeric && numericStringRegex.test(normalized.trim())) {
+    const number = Number(normalized);
+    if (Math.abs(number) <= Number.MAX_SAFE_INTEGER) {
+      normalized = String(number);
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Compares two strings by UTF-16 code units, independent of the runtime locale.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function compareStrings(a, b) {
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Normalizes a list of `[key, value]` pairs (query parameters or form fields).
+ *
+ * @param {[string, string][]} entries the pairs to normalize, in their original order
+ * @param {Object} options
+ * @param {boolean} options.ignoreKeysOrder sort the pairs by key
+ * @param {boolean} options.ignoreKeysCase lower-case the keys
+ * @param {boolean} options.ignoreValuesCase lower-case the values
+ * @param {boolean} options.ignoreNullish drop pairs with a nullish value
+ * @param {boolean} options.ignoreArraysOrder sort the values of repeated keys
+ * @param {Required<CacheKeySettings>} options.keySettings the complete `key` options
+ * @returns {[string, string][]} the normalized pairs
+ */
+function normalizeEntries(
+  entries,
+  {
+    ignoreKeysOrder,
+    ignoreKeysCase,
+    ignoreValuesCase,
+    ignoreNullish,
+    ignoreArraysOrder,
+    keySettings,
+  }
+) {
+  const stringOptions = {
+    trim: keySettings.trimStringValues,
+    ignoreCase: ignoreValuesCase,
+    normalizeNumeric: keySettings.normalizeNumericValues,
+  };
+
+  let normalized = entries
+    .map(([key, value]) => [
+      ignoreKeysCase ? key.toLowerCase() : key,
+      normalizeString(value, stringOptions),
+    ])
+    .filter(([, value]) => !ignoreNullish || !nullishParamValues.includes(value));
+
+  if (ignoreArraysOrder) {
+    // Sort only the values of each repeated key, keeping the position of the key itself
+    const valuesByKey = new Map();
+    for (const [key, value] of normalized) {
+      valuesByKey.set(key, [...(valuesByKey.get(key) ?? []), value]);
+    }
+    for (const values of valuesByKey.values()) {
+      values.sort(compareStrings);
+    }
+    normalized = normalized.map(([key]) => [key, valuesByKey.get(key).shift()]);
+  }
+
+  if (ignoreKeysOrder) {
+    // `Array.prototype.sort` is stable, so repeated keys keep their relative order
+    normalized.sort(([a], [b]) => compareStrings(a, b));
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalizes the query parameters of a URL according to the `key` options.
+ *
+ * @param {URLSearchParams} searchParams the query parameters to normalize
+ * @param {Required<CacheKeySettings>} keySettings the complete `key` options
+ * @returns {[string, string][]} the normalized query parameters, or none if `includeQueryParams` is off
+ */
+export function normalizeQueryParams(searchParams, keySettings) {
+  if (!keySettings.includeQueryParams) {
+    return [];
+  }
+
+  return normalizeEntries([...searchParams], {
+    ignoreKeysOrder: keySettings.ignoreQueryKeysOrder,
+    ignoreKeysCase: keySettings.ignoreQueryKeysCase,
+    ignoreValuesCase: keySettings.ignoreQueryValuesCase,
+    ignoreNullish: keySettings.ignoreNullishQueryParams,
+    ignoreArraysOrder: keySettings.ignoreArraysOrder,
+    keySettings,
+  });
+}
+
+/**
+ * Normalizes an `application/x-www-form-urlencoded` body according to the body-related `key` options.
+ *
+ * @param {string} body the raw form body
+ * @param {Required<CacheKeySettings>} keySettings the complete `key` options
+ * @returns {string} the normalized form body
+ */
+export function normalizeFormBody(body, keySettings) {
+  const entries = normalizeEntries([...new URLSearchParams(body)], {
+    ignoreKeysOrder: keySettings.ignoreBodyKeysOrder || keySettings.ignoreBodyKeysOrderRecursively,
+    ignoreKeysCase: keySettings.ignoreBodyKeysCase,
+    ignoreValuesCase: keySettings.ignoreBodyValuesCase,
+    ignoreNullish:
+      keySettings.ignoreNullishBodyKeys || keySettings.ignoreNullishBodyKeysRecursively,
+    ignoreArraysOrder: keySettings.ignoreArraysOrder,
+    keySettings,
+  });
+
+  return new URLSearchParams(entries).toString();
+}
+
+/**
+ * Checks whether a body value is nullish (`null`, `undefined` or an empty string).
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isNullishBodyValue(value) {
+  return value === null || value === undefined || value === '';
+}
+
+/**
+ * Recursively normalizes a parsed JSON body value.
+ *
+ * @param {unknown} value the value to normalize
+ * @param {Required<CacheKeySettings>} keySettings the complete `key` options
+ * @param {number} depth the nesting depth of objects, `0` for the body itself
+ * @returns {unknown} the normalized value
+ */
+function normalizeBodyValue(value, keySettings, depth) {
+  if (typeof value === 'string') {
+    return normalizeString(value, {
+      trim: keySettings.trimStringValues,
+      ignoreCase: keySettings.ignoreBodyValuesCase,
+      normalizeNumeric: keySettings.normalizeNumericValues,
+    });
+  }
+
+  if (Array.isArray(value)) {
+    // Array items are on the same level as the array itself
+    const items = value.map(item => normalizeBodyValue(item, keySettings, depth));
+
+    if (keySettings.ignoreArraysOrder) {
+      return items
+        .map(item => [JSON.stringify(item) ?? '', item])
+        .sort(([a], [b]) => compareStrings(a, b))
+        .map(([, item]) => item);
+    }
+
+    return items;
+  }
+
+  if (value && typeof value === 'object') {
+    const isTopLevel = depth === 0;
+    const ignoreKeysOrder =
+      keySettings.ignoreBodyKeysOrderRecursively || (isTopLevel && keySettings.ignoreBodyKeysOrder);
+    const ignoreNullish =
+      keySettings.ignoreNullishBodyKeysRecursively ||
+      (isTopLevel && keySettings.ignoreNullishBodyKeys);
+
+    let entries = Object.entries(value)
+      .map(([key, item]) => [
+        keySettings.ignoreBodyKeysCase ? key.toLowerCase() : key,
+        normalizeBodyValue(item, keySettings, depth + 1),
+      ])
+      .filter(([, item]) => !ignoreNullish || !isNullishBodyValue(item));
+
+    if (ignoreKeysOrder) {
+      entries = entries.sort(([a], [b]) => compareStrings(a, b));
+    }
+
+    return Object.fromEntries(entries);
+  }
+
+  return value;
+}
+
+/**
+ * Normalizes a parsed JSON body according to the body-related `key` options
+ * and serializes it into a deterministic string.
+ *
+ * @param {unknown} body the parsed JSON body
+ * @param {Required<CacheKeySettings>} keySettings the complete `key` options
+ * @returns {string} the normalized, serialized body
+ */
+export function normalizeJsonBody(body, keySettings) {
+  return JSON.stringify(normalizeBodyValue(body, keySettings, 0));
+}
@@ -0,0 +1,151 @@
+import { logger } from './logger.js';
+
+/**
+ * @typedef {import('./cache-config-store.js').CacheSettings} CacheSettings
+ * @typedef {import('./cache-config-store.js').CacheStrategy} CacheStrategy
+ * @typedef {import('./cache-freshness.js').Freshness} Freshness
+ */
+
+/**
+ * A cached response together with its freshness verdict.
+ *
+ * @typedef {Object} CacheMatch
+ * @property {Response} response the cached `Response`
+ * @property {Freshness} freshness the freshness verdict of the cached response
+ */
+
+/**
+ * Everything a strategy handler needs to serve a single request.
+ *
+ * @typedef {Object} StrategyContext
+ * @property {Request} request the original intercepted `Request`
+ * @property {CacheSettings} settings the resolved settings for the request
+ * @property {() => Promise<CacheMatch | undefined>} matchCache looks up the cached response and evaluates its freshness
+ * @property {() => Promise<Response>} fetchAndStore fetches from the network (deduped) and stores the result in the cache
+ * @property {() => Promise<Response>} fetchFromNetwork fetches from the network without touching the cache
+ * @property {(promise: Promise<unknown>) => void} waitUntil extends the lifetime of background work
+ */
+
+/**
+ * @typedef {(context: StrategyContext) => Promise<Response>} StrategyHandler
+ */
+
+/**
+ * Default strategy for requests that don't specify one.
+ * @type {CacheStrategy}
+ */
+export const defaultStrategy = 'cache-first';
+
+/**
+ * Default time in milliseconds a `network-first` request waits before falling back to the cache.
+ */
+const defaultNetworkTimeoutMs = 3000;
+
+/**
+ * Serves from the cache when the entry is fresh, otherwise fetches from the network and stores the result.
+ *
+ * @type {StrategyHandler}
+ */
+async function cacheFirst({ request, matchCache, fetchAndStore }) {
+  const cached = await matchCache();
+
+  if (cached?.freshness === 'fresh') {
+    logger.log('strategy', `Serving from cache: ${request.url}`);
+    return cached.response;
+  }
+
+  logger.log('strategy', `Fetching from network: ${request.method} ${request.url}`);
+  return fetchAndStore();
+}
+
+/**
+ * Fetches from the network first and falls back to the cache if the network fails
+ * or does not answer within `networkTimeoutMs`. Any cached entry is used as a fallback, whatever its
+ * freshness, since it is better than no response. A late network response still updates the cache.
+ *
+ * @type {StrategyHandler}
+ */
+async function networkFirst({ request, settings, matchCache, fetchAndStore, waitUntil }) {
+  const networkTimeoutMs = settings.networkTimeoutMs ?? defaultNetworkTimeoutMs;
+  const networkPromise = fetchAndStore();
+  let timeoutId;
+
+  const timeoutPromise = new Promise(resolve => {
+    timeoutId = setTimeout(() => resolve(null), networkTimeoutMs);
+  });
+
+  try {
+    const response = await Promise.race([networkPromise, timeoutPromise]);
+    if (response) {
+      return response;
+    }
+
+    logger.log('strategy', `Network timed out after ${networkTimeoutMs}ms: ${request.url}`);
+  } catch (error) {
+    logger.warn('strategy', `Network failed, falling back to cache: ${request.url}: ${error}`);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const cached = await matchCache();
+
+  if (cached) {
+    waitUntil(networkPromise.catch(() => {}));
+    logger.log('strategy', `Serving ${cached.freshness} entry from cache: ${request.url}`);
+    return cached.response;
+  }
+
+  // Nothing to fall back to: keep waiting for (or rethrow from) the network
+  return networkPromise;
+}
+
+/**
+ * Serves the cached response immediately (if any). Entries that are not fresh
+ * are refreshed from the network in the background.
+ *
+ * @type {StrategyHandler}
+ */
+async function staleWhileRevalidate({ request, matchCache, fetchAndStore, waitUntil }) {
+  const cached = await matchCache();
+
+  if (!cached) {
+    logger.log('strategy', `Fetching from network: ${request.method} ${request.url}`);
+    return fetchAndStore();
+  }
+
+  if (cached.freshness === 'fresh') {
+    logger.log('strategy', `Serving from cache: ${request.url}`);
+    return cached.response;
+  }
+
+  const revalidation = fetchAndStore().then(
+    () => logger.log('strategy', `Revalidated: ${request.url}`),
+    error => logger.warn('strategy', `Revalidation failed for ${request.url}: ${error}`)
+  );
+
+  waitUntil(revalidation);
+  logger.log('strategy', `Serving ${cached.freshness} entry while revalidating: ${request.url}`);
+
+  return cached.response;
+}
+
+/**
+ * Always fetches from the network without reading or writing the cache.
+ *
+ * @type {StrategyHandler}
+ */
+function networkOnly({ fetchFromNetwork }) {
+  return fetchFromNetwork();
+}
+
+/**
+ * Strategy handlers by their `strategy` setting value.
+ *
+ * @type {Record<CacheStrategy, StrategyHandler>}
+ */
+export const strategies = {
+  'cache-first': cacheFirst,
+  'network-first': networkFirst,
+  'stale-while-revalidate': staleWhileRevalidate,
+  'network-only': networkOnly,
+};
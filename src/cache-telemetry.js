@@ -0,0 +1,368 @@
+import { logger } from './logger.js';
+
+/**
+ * Structured cache telemetry. Events are aggregated in memory per host, endpoint and method
+ * (counters, latency histograms, bytes saved), can be queried by pages (`GET_TELEMETRY`),
+ * and are optionally exported in batches as OTLP/JSON log records (`configureTelemetryExport`).
+ *
+ * Aggregates live as long as the worker: the browser may stop an idle worker at any time,
+ * which starts a new aggregation period (see `since` in the snapshot).
+ */
+
+/**
+ * - `hit`: served a fresh entry from the cache
+ * - `miss`: fetched from the network (no entry, an entry the strategy would not serve, or `network-only`)
+ * - `stale-served`: served a stale or expired entry
+ * - `revalidated`: refreshed an entry in the background after serving it stale
+ * - `dedup-joined`: joined an identical in-flight (or debounced) network request
+ * - `evicted`: deleted an entry (`reason` is `'stale'`, `'expired'`, `'quota'` or `'storage-pressure'`)
+ * - `prefetch`: warmed up an entry (`reason` is `'cached'` if it was already fresh, `'fetched'` otherwise)
+ *
+ * @typedef {'hit' | 'miss' | 'stale-served' | 'revalidated' | 'dedup-joined' | 'evicted' | 'prefetch'} TelemetryEventType
+ */
+
+/**
+ * @typedef {Object} TelemetryEvent
+ * @property {TelemetryEventType} type
+ * @property {string} host Origin of the request (e.g. `'https://api.example.com'`)
+ * @property {string} endpoint Matched endpoint pattern, or the request path if no pattern matched
+ * @property {string} method
+ * @property {number} timestamp Timestamp (ms since epoch) of the event
+ * @property {number} [latencyMs] Time from intercepting the request to having its response
+ * @property {number} [bytes] Size of the response body, if known from `Content-Length`
+ * @property {string} [reason] Why an entry was evicted, or how a prefetch was satisfied
+ * @property {boolean} [failed] Set if the request (or background refresh) failed
+ */
+
+/**
+ * @typedef {Object} LatencyHistogram
+ * @property {number[]} bounds Upper bounds of the buckets in milliseconds, the last bucket is unbounded
+ * @property {number[]} counts Number of samples per bucket (`bounds.length + 1` buckets)
+ * @property {number} count Number of samples
+ * @property {number} sum Sum of all samples in milliseconds
+ * @property {number} min
+ * @property {number} max
+ */
+
+/**
+ * @typedef {Object} TelemetryAggregate
+ * @property {string} host
+ * @property {string} endpoint
+ * @property {string} method
+ * @property {Partial<Record<TelemetryEventType, number>>} counts Number of events by type
+ * @property {number} failures Number of failed requests and background refreshes
+ * @property {number} hitRate Share of requests served from the cache (`hit` and `stale-served`)
+ * @property {number} bytesSaved Bytes served from the cache instead of the network
+ * @property {number} bytesFetched Bytes downloaded by misses, refreshes and prefetches
+ * @property {Partial<Record<TelemetryEventType, LatencyHistogram>>} latency Latency histograms by event type
+ */
+
+/**
+ * @typedef {Object} TelemetrySnapshot
+ * @property {number} since Timestamp (ms since epoch) when aggregation started
+ * @property {TelemetryAggregate[]} aggregates
+ */
+
+/**
+ * @typedef {Object} TelemetryExportOptions
+ * @property {string} endpoint URL receiving the OTLP/JSON logs as a `POST` (e.g. `https://otel.example.com/v1/logs`)
+ * @property {number} [intervalMs] Maximum time in milliseconds an event waits to be exported. Defaults to 10 seconds
+ * @property {number} [batchSize] Number of buffered events that triggers an export right away. Defaults to 100
+ * @property {string} [serviceName] The `service.name` resource attribute. Defaults to `'full-cache'`
+ */
+
+/** Upper bounds of the latency histogram buckets in milliseconds */
+const latencyBucketBounds = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/** Events served from the cache, counted as bytes saved */
+const servedFromCacheTypes = ['hit', 'stale-served'];
+
+/** Events that downloaded the response, counted as bytes fetched */
+const fetchedTypes = ['miss', 'revalidated', 'prefetch'];
+
+/** Maximum number of events kept for export while the endpoint is unreachable, oldest are dropped */
+const maxBufferedEvents = 1000;
+
+/**
+ * Maximum number of aggregates. Requests matching no endpoint pattern are aggregated by path,
+ * so beyond this, new paths of a host and method share a single `otherEndpoint` aggregate.
+ */
+const maxAggregates = 500;
+
+/** Endpoint of the aggregate shared by the paths recorded beyond `maxAggregates` */
+const otherEndpoint = '(other)';
+
+/** @type {Map<string, Omit<TelemetryAggregate, 'hitRate'>>} */
+let aggregates = new Map();
+
+let aggregatingSince = Date.now();
+
+/** @type {Required<TelemetryExportOptions> | null} */
+let exportOptions = null;
+
+/** @type {TelemetryEvent[]} */
+let exportBuffer = [];
+
+let exportTimeoutId = 0;
+
+/** Pending export, shared by concurrent flushes so batches are sent one at a time */
+let flushPromise = null;
+
+/**
+ * Creates an empty latency histogram.
+ *
+ * @returns {LatencyHistogram}
+ */
+function createHistogram() {
+  return {
+    bounds: latencyBucketBounds,
+    counts: new Array(latencyBucketBounds.length + 1).fill(0),
+    count: 0,
+    sum: 0,
+    min: Infinity,
+    max: 0,
+  };
+}
+
+/**
+ * Adds a latency sample to a histogram.
+ *
+ * @param {LatencyHistogram} histogram
+ * @param {number} latencyMs
+ */
+function observe(histogram, latencyMs) {
+  const bucket = latencyBucketBounds.findIndex(bound => latencyMs <= bound);
+
+  histogram.counts[bucket === -1 ? latencyBucketBounds.length : bucket]++;
+  histogram.count++;
+  histogram.sum += latencyMs;
+  histogram.min = Math.min(histogram.min, latencyMs);
+  histogram.max = Math.max(histogram.max, latencyMs);
+}
+
+/**
+ * Records a cache event, updating its aggregate and buffering it for export.
+ *
+ * @param {Omit<TelemetryEvent, 'timestamp'>} event the event to record
+ */
+export function recordCacheEvent(event) {
+  /** @type {TelemetryEvent} */
+  const timedEvent = { ...event, timestamp: Date.now() };
+  const { type, host, method, latencyMs, bytes, failed } = timedEvent;
+  let { endpoint } = timedEvent;
+  let key = `${method} ${host}/${endpoint}`;
+
+  if (!aggregates.has(key) && aggregates.size >= maxAggregates) {
+    endpoint = otherEndpoint;
+    key = `${method} ${host}/${endpoint}`;
+  }
+
+  let aggregate = aggregates.get(key);
+
+  if (!aggregate) {
+    aggregate = {
+      host,
+      endpoint,
+      method,
+      counts: {},
+      failures: 0,
+      bytesSaved: 0,
+      bytesFetched: 0,
+      latency: {},
+    };
+    aggregates.set(key, aggregate);
+  }
+
+  aggregate.counts[type] = (aggregate.counts[type] ?? 0) + 1;
+
+  if (failed) {
+    aggregate.failures++;
+  } else if (bytes > 0) {
+    if (servedFromCacheTypes.includes(type)) aggregate.bytesSaved += bytes;
+    if (fetchedTypes.includes(type)) aggregate.bytesFetched += bytes;
+  }
+
+  if (latencyMs != null) {
+    observe((aggregate.latency[type] ??= createHistogram()), latencyMs);
+  }
+
+  if (exportOptions) {
+    bufferForExport(timedEvent);
+  }
+}
+
+/**
+ * Returns the aggregates recorded so far.
+ *
+ * @param {{ reset?: boolean }} [options] `reset` starts a new aggregation period after the snapshot
+ * @returns {TelemetrySnapshot}
+ */
+export function getTelemetrySnapshot({ reset = false } = {}) {
+  const snapshot = {
+    since: aggregatingSince,
+    aggregates: [...aggregates.values()].map(aggregate => {
+      const { hit = 0, 'stale-served': staleServed = 0, miss = 0 } = aggregate.counts;
+      const requests = hit + staleServed + miss;
+
+      return {
+        ...structuredClone(aggregate),
+        hitRate: requests ? (hit + staleServed) / requests : 0,
+      };
+    }),
+  };
+
+  if (reset) {
+    aggregates = new Map();
+    aggregatingSince = Date.now();
+  }
+
+  return snapshot;
+}
+
+/**
+ * Enables exporting events as OTLP/JSON log records.
+ * Events are sent in batches, once `batchSize` events are buffered or `intervalMs` after the
+ * first buffered event. Batches that fail to send are retried with the next one.
+ *
+ * @param {TelemetryExportOptions} options
+ */
+export function configureTelemetryExport({
+  endpoint,
+  intervalMs = 10_000,
+  batchSize = 100,
+  serviceName = 'full-cache',
+}) {
+  exportOptions = { endpoint, intervalMs, batchSize, serviceName };
+  logger.info('telemetry', `Exporting telemetry to ${endpoint}`);
+}
+
+/**
+ * Adds an event to the export buffer and schedules (or triggers) the export.
+ *
+ * @param {TelemetryEvent} event
+ */
+function bufferForExport(event) {
+  exportBuffer.push(event);
+
+  if (exportBuffer.length > maxBufferedEvents) {
+    exportBuffer.splice(0, exportBuffer.length - maxBufferedEvents);
+  }
+
+  if (exportBuffer.length >= exportOptions.batchSize) {
+    void flushTelemetry();
+  } else if (!exportTimeoutId) {
+    exportTimeoutId = setTimeout(() => void flushTelemetry(), exportOptions.intervalMs);
+  }
+}
+
+/**
+ * Exports the buffered events if a batch is due: `batchSize` events are buffered, or the oldest
+ * has waited `intervalMs`. Meant to be passed to `waitUntil` by event handlers, so the export
+ * is not cut short by the browser stopping the worker.
+ *
+ * @returns {Promise<void>} a promise that resolves once a due batch was sent (or failed to)
+ */
+export function flushTelemetryIfDue() {
+  if (flushPromise) return flushPromise;
+  if (!exportOptions || !exportBuffer.length) return Promise.resolve();
+
+  const isDue =
+    exportBuffer.length >= exportOptions.batchSize ||
+    Date.now() - exportBuffer[0].timestamp >= exportOptions.intervalMs;
+
+  return isDue ? flushTelemetry() : Promise.resolve();
+}
+
+/**
+ * Exports the buffered events right away, e.g. before the worker may be stopped.
+ *
+ * @returns {Promise<void>} a promise that resolves once the buffered events were sent (or failed to)
+ */
+export function flushTelemetry() {
+  flushPromise ??= sendBufferedEvents().finally(() => {
+    flushPromise = null;
+  });
+
+  return flushPromise;
+}
+
+/**
+ * @returns {Promise<void>}
+ */
+async function sendBufferedEvents() {
+  clearTimeout(exportTimeoutId);
+  exportTimeoutId = 0;
+
+  if (!exportOptions || !exportBuffer.length) return;
+
+  const events = exportBuffer;
+  exportBuffer = [];
+
+  try {
+    const response = await fetch(exportOptions.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(toOtlpLogs(events, exportOptions.serviceName)),
+    });
+
+    if (!response.ok) {
+      throw new Error(`${response.status} ${response.statusText}`);
+    }
+  } catch (error) {
+    logger.warn('telemetry', `Failed to export ${events.length} events: ${error}`);
+
+    // Keep the events for the next attempt, behind any recorded meanwhile
+    exportBuffer = [...events, ...exportBuffer].slice(-maxBufferedEvents);
+
+    if (!exportTimeoutId) {
+      exportTimeoutId = setTimeout(() => void flushTelemetry(), exportOptions.intervalMs);
+    }
+  }
+}
+
+/**
+ * Converts a value into an OTLP `AnyValue`.
+ *
+ * @param {string | number | boolean} value
+ * @returns {Record<string, unknown>}
+ */
+function toOtlpValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+
+  return { stringValue: String(value) };
+}
+
+/**
+ * Builds an OTLP/JSON `ExportLogsServiceRequest` with one log record per event.
+ *
+ * @param {TelemetryEvent[]} events
+ * @param {string} serviceName
+ * @returns {Record<string, unknown>}
+ */
+function toOtlpLogs(events, serviceName) {
+  return {
+    resourceLogs: [
+      {
+        resource: {
+          attributes: [{ key: 'service.name', value: { stringValue: serviceName } }],
+        },
+        scopeLogs: [
+          {
+            scope: { name: 'full-cache' },
+            logRecords: events.map(({ timestamp, type, failed, ...attributes }) => ({
+              timeUnixNano: String(BigInt(timestamp) * 1_000_000n),
+              severityNumber: failed ? 13 : 9,
+              severityText: failed ? 'WARN' : 'INFO',
+              body: { stringValue: `cache.${type}` },
+              attributes: Object.entries({ type, ...attributes, ...(failed && { failed }) })
+                .filter(([, value]) => value != null)
+                .map(([key, value]) => ({ key: `cache.${key}`, value: toOtlpValue(value) })),
+            })),
+          },
+        ],
+      },
+    ],
+  };
+}
@@ -0,0 +1,79 @@
+import { logger } from './logger.js';
+
+/**
+ * Caps the number of concurrent tasks per resource key, queueing the rest in FIFO order.
+ *
+ * @typedef {Object} LimiterState
+ * @property {number} active Number of tasks currently running
+ * @property {(() => void)[]} queue Callbacks starting the queued tasks, oldest first
+ */
+
+/** @type {Map<string, LimiterState>} */
+const limiters = new Map();
+
+/**
+ * @typedef {Object} ConcurrencyLimitOptions
+ * @property {number} maxConcurrent Maximum number of tasks running at once for the key
+ * @property {number} [maxQueueLength] Optional maximum number of queued tasks; unbounded if omitted
+ * @property {() => T} onOverflow Produces the result for a task rejected because the queue is full
+ * @template T
+ */
+
+/**
+ * Returns the number of tasks waiting in the queue of a resource key.
+ *
+ * @param {string} key the resource key
+ * @returns {number} the queue depth, `0` if nothing is queued
+ */
+export function getQueueDepth(key) {
+  return limiters.get(key)?.queue.length ?? 0;
+}
+
+/**
+ * Runs a task once fewer than `maxConcurrent` tasks with the same key are running.
+ * Tasks beyond the cap wait in a FIFO queue; if the queue is already at `maxQueueLength`,
+ * the task is not run and the result of `onOverflow` is returned instead.
+ *
+ * @template T
+ * @param {string} key the resource key (e.g. host + endpoint pattern + method)
+ * @param {() => Promise<T>} task the task to run
+ * @param {ConcurrencyLimitOptions<T>} options
+ * @returns {Promise<T>} a promise that resolves with the task's result
+ */
+export async function runWithConcurrencyLimit(
+  key,
+  task,
+  { maxConcurrent, maxQueueLength, onOverflow }
+) {
+  let state = limiters.get(key);
+
+  if (!state) {
+    state = { active: 0, queue: [] };
+    limiters.set(key, state);
+  }
+
+  if (state.active >= maxConcurrent) {
+    if (maxQueueLength != null && state.queue.length >= maxQueueLength) {
+      logger.warn('concurrency', `Queue full for '${key}' (depth: ${state.queue.length})`);
+      return onOverflow();
+    }
+
+    logger.log('concurrency', `Queued request for '${key}' (depth: ${state.queue.length + 1})`);
+    // The finishing task hands its slot over, so `active` is not incremented here
+    await new Promise(resolve => state.queue.push(resolve));
+  } else {
+    state.active++;
+  }
+
+  try {
+    return await task();
+  } finally {
+    const next = state.queue.shift();
+
+    if (next) {
+      next();
+    } else if (--state.active === 0) {
+      limiters.delete(key);
+    }
+  }
+}
@@ -0,0 +1,73 @@
+import { parseJsonPointer } from './json-patch.js';
+
+/**
+ * @typedef {import('./json-patch.js').JsonPatchOperation} JsonPatchOperation
+ */
+
+/**
+ * The part of a `CacheConfig` affected by an update, used to limit stale-entry sweeps.
+ * `null` stands for the whole config.
+ *
+ * @typedef {Object} ConfigChangeScope
+ * @property {Set<string>} hosts hosts whose host-level settings or endpoint set changed
+ * @property {Map<string, Set<string>>} endpoints endpoint patterns whose settings changed, per host
+ */
+
+/**
+ * Computes which hosts and endpoints a JSON Patch touches.
+ *
+ * - Changes to global `settings` (or the whole `hosts` map) affect everything.
+ * - Changes to a host's `settings`, or adding/removing/moving whole endpoints (which can change
+ *   which pattern a URL matches), affect the whole host.
+ * - Changes inside an endpoint affect only that endpoint.
+ * - Changes to other root fields (e.g. `cacheTTL`) affect no cached entries.
+ *
+ * @param {JsonPatchOperation[]} patch the JSON Patch operations
+ * @returns {ConfigChangeScope | null} the affected scope, or `null` if everything is affected
+ */
+export function getPatchChangeScope(patch) {
+  /** @type {ConfigChangeScope} */
+  const scope = { hosts: new Set(), endpoints: new Map() };
+
+  for (const { op, path, from } of patch) {
+    for (const pointer of [path, from]) {
+      if (pointer === undefined) continue;
+
+      const [root, host, section, pattern, ...rest] = parseJsonPointer(pointer);
+
+      if (root === undefined || root === 'settings' || (root === 'hosts' && host === undefined)) {
+        return null;
+      }
+
+      if (root !== 'hosts') continue;
+
+      const isWholeEndpointChange = pattern !== undefined && !rest.length && op !== 'replace';
+
+      if (section === 'endpoints' && pattern !== undefined && !isWholeEndpointChange) {
+        scope.endpoints.set(host, (scope.endpoints.get(host) ?? new Set()).add(pattern));
+      } else if (section === undefined || section === 'settings' || section === 'endpoints') {
+        scope.hosts.add(host);
+      }
+    }
+  }
+
+  return scope;
+}
+
+/**
+ * Checks whether a request matched by `CacheConfigStore.matchEndpoint` falls within a change scope.
+ *
+ * @param {ConfigChangeScope | null} scope the change scope, `null` for everything
+ * @param {{ host: string, pattern?: string } | undefined} endpointMatch the request's endpoint match
+ * @returns {boolean} `true` if the request may be affected by the change
+ */
+export function isWithinChangeScope(scope, endpointMatch) {
+  if (!scope) return true;
+  if (!endpointMatch) return false;
+
+  const { host, pattern } = endpointMatch;
+
+  return (
+    scope.hosts.has(host) || (pattern !== undefined && !!scope.endpoints.get(host)?.has(pattern))
+  );
+}
@@ -1,31 +1,15 @@
-/* global indexedDB */
+import { defineObjectStore } from './indexed-db-store.js';
+
 /**
  * Provides utilities for storing and retrieving cache configuration
  * from IndexedDB, with support for TTL-based expiration.
  */
 
-const dbName = 'api-cache-config';
-const storeName = 'config';
 const configKey = 'latest';
 
-/**
- * Opens the IndexedDB database used for cache configuration.
- *
- * @returns {Promise<IDBDatabase>} A promise that resolves with the opened database instance
- */
-function openDB() {
-  return new Promise((resolve, reject) => {
-    const request = indexedDB.open(dbName, 1);
+const backgroundSyncKey = 'lastBackgroundSyncAt';
 
-    request.onupgradeneeded = () => {
-      const db = request.result;
-      db.createObjectStore(storeName);
-    };
-
-    request.onsuccess = () => resolve(request.result);
-    request.onerror = () => reject(request.error);
-  });
-}
+const withStore = defineObjectStore('api-cache-config', 'config');
 
 /**
  * Saves the provided cache config to IndexedDB with the current timestamp.
@@ -34,12 +18,7 @@ function openDB() {
  * @returns {Promise<void>}
  */
 export async function saveConfigToIndexedDB(config) {
-  const db = await openDB();
-  const tx = db.transaction(storeName, 'readwrite');
-  const store = tx.objectStore(storeName);
-
-  store.put({ config, savedAt: Date.now() }, configKey);
-  await tx.complete;
+  await withStore('readwrite', store => store.put({ config, savedAt: Date.now() }, configKey));
 }
 
 /**
@@ -49,11 +28,7 @@ export async function saveConfigToIndexedDB(config) {
  * Returns the stored config with timestamp, or null if not found
  */
 export async function loadConfigFromIndexedDB() {
-  const db = await openDB();
-  const tx = db.transaction(storeName, 'readonly');
-  const store = tx.objectStore(storeName);
-
-  const result = store.get(configKey);
+  const result = await withStore('readonly', store => store.get(configKey));
   return result || null;
 }
 
@@ -63,10 +38,26 @@ export async function loadConfigFromIndexedDB() {
  * @returns {Promise<void>}
  */
 export async function clearConfigFromIndexedDB() {
-  const db = await openDB();
-  const tx = db.transaction(storeName, 'readwrite');
-  const store = tx.objectStore(storeName);
+  await withStore('readwrite', store => store.delete(configKey));
+}
 
-  store.delete(configKey);
-  await tx.complete;
+/**
+ * Saves the timestamp of the last completed background sync, so that a restarted worker
+ * still enforces the minimum interval between syncs.
+ *
+ * @param {number} timestamp - The time the sync completed, in ms since epoch
+ * @returns {Promise<void>}
+ */
+export async function saveBackgroundSyncTimestamp(timestamp) {
+  await withStore('readwrite', store => store.put(timestamp, backgroundSyncKey));
+}
+
+/**
+ * Loads the timestamp of the last completed background sync.
+ *
+ * @returns {Promise<number>} the timestamp in ms since epoch, or 0 if no sync has completed yet
+ */
+export async function loadBackgroundSyncTimestamp() {
+  const result = await withStore('readonly', store => store.get(backgroundSyncKey));
+  return result ?? 0;
 }
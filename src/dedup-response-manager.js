@@ -1,5 +1,5 @@
 import { startHeartbeat, endHeartbeat, isOwnerAlive, channel } from './task-heartbeat-manager.js';
-import { serializeResponse, deserializeResponse } from './response-serializer.js';
+import { serializeResponse, deserializeResponse, postBodyChunks } from './response-serializer.js';
 import { logger } from './logger.js';
 
 /**
@@ -7,10 +7,48 @@ import { logger } from './logger.js';
  *
  * @typedef {Object} Deferred
  * @property {Promise<Response>} promise - The promise to await
- * @property {(res: Response) => void} resolve - Resolves the promise with a `Response`
+ * @property {(res: Response | Promise<Response>) => void} resolve - Resolves the promise with a `Response`
  * @property {(err: Error) => void} reject - Rejects the promise with an `Error`
+ * @property {boolean} [cancelled] - Set once the request was superseded by a newer one
  */
 
+/**
+ * Default timeout in milliseconds after which a request whose owner is unresponsive is abandoned.
+ */
+const defaultTimeoutMs = 10000;
+
+/**
+ * A debounced request owned by this tab, waiting for its window to close.
+ *
+ * @typedef {Object} DebouncedRequest
+ * @property {Deferred} deferred - Settled with the result of the single network call
+ * @property {() => Promise<Response>} fetcher - The fetcher of the latest request in the window
+ * @property {(promise: Promise<unknown>) => void} [waitUntil] - Extends the event lifetime of the latest request in the window
+ * @property {number} windowMs - The debounce window in milliseconds
+ * @property {number} timeoutId - Timer ID firing when the window closes
+ */
+
+/**
+ * Tracks debounced requests owned by this tab, by cache key.
+ *
+ * @type {Map<string, DebouncedRequest>}
+ */
+const debouncedRequests = new Map();
+
+/**
+ * Tracks debounce windows opened by other tabs, by cache key, as the time the window closes.
+ *
+ * @type {Map<string, number>}
+ */
+const remoteDebounceWindows = new Map();
+
+/**
+ * Timers deleting the debounce windows of other tabs once they close, by cache key.
+ *
+ * @type {Map<string, number>}
+ */
+const remoteDebounceWindowTimers = new Map();
+
 /**
  * Tracks all in-flight requests by cache key.
  * Each request is identified by a unique string key.
@@ -30,13 +68,20 @@ const inFlightRequests = new Map();
  *
  * @param {string} key - Unique identifier for the request (usually a cache key)
  * @param {() => Promise<Response>} fetcher - Function that triggers the actual network request
- * @param {number} [timeoutMs=10000] - Timeout (in milliseconds) after which the request is aborted if the owner is unresponsive
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs=10000] - Timeout (in milliseconds) after which the request is aborted if the owner is unresponsive
+ * @param {(promise: Promise<unknown>) => void} [options.waitUntil] - Extends the event lifetime
+ * while a large body is streamed to the other tabs waiting on the request
  * @returns {Promise<Response>} Promise that resolves to the deduplicated response
  */
-export async function getDedupedResponse(key, fetcher, timeoutMs = 10000) {
+export async function getDedupedResponse(
+  key,
+  fetcher,
+  { timeoutMs = defaultTimeoutMs, waitUntil = () => {} } = {}
+) {
   if (inFlightRequests.has(key)) {
     logger.log('dedup', `Waiting for existing request with key '${key}'`);
-    return inFlightRequests.get(key).promise;
+    return inFlightRequests.get(key).promise.then(response => response.clone());
   }
 
   const deferred = Promise.withResolvers();
@@ -44,7 +89,7 @@ export async function getDedupedResponse(key, fetcher, timeoutMs = 10000) {
   startHeartbeat(key);
 
   const timeoutId = setTimeout(() => {
-    if (!isOwnerAlive(key)) {
+    if (inFlightRequests.get(key) === deferred && !isOwnerAlive(key)) {
       logger.log('dedup', `Aborting request with key '${key}' due to timeout`);
       inFlightRequests.delete(key);
       endHeartbeat(key);
@@ -55,28 +100,188 @@ export async function getDedupedResponse(key, fetcher, timeoutMs = 10000) {
 
   try {
     const response = await fetcher();
-    const serialized = await serializeResponse(response);
+
+    if (deferred.cancelled) {
+      return deferred.promise.then(replacement => replacement.clone());
+    }
+
+    const { data: serialized, bodyStream } = await serializeResponse(response);
 
     channel.postMessage({ type: 'response-ready', key, response: serialized });
 
+    if (bodyStream) {
+      // Large or streaming bodies follow in chunks, as other tabs pull them, without delaying
+      // this tab's callers
+      waitUntil(postBodyChunks(channel, serialized.body.streamId, bodyStream));
+    }
+
     deferred.resolve(response);
-    return response;
+    return response.clone();
   } catch (error) {
+    if (deferred.cancelled) {
+      // Superseded by a newer request: settle like the callers that were waiting on this one
+      return deferred.promise.then(replacement => replacement.clone());
+    }
+
     logger.error('dedup', `Failed to fetch response for key '${key}': ${error}`);
+    // Let callers waiting on this request fail too, instead of hanging until the timeout
+    deferred.promise.catch(() => {});
+    deferred.reject(error);
     throw error;
   } finally {
-    inFlightRequests.delete(key);
-    endHeartbeat(key);
+    // The entry may already belong to a newer request if this one was cancelled or timed out
+    if (inFlightRequests.get(key) === deferred) {
+      inFlightRequests.delete(key);
+      endHeartbeat(key);
+    }
     clearTimeout(timeoutId);
   }
 }
 
+/**
+ * Checks whether a request with the given `key` would join a pending request instead of
+ * reaching the network: one in flight, debounced by this tab, or in another tab's debounce window.
+ *
+ * @param {string} key - Unique identifier for the request (usually a cache key)
+ * @returns {boolean} `true` if a request with the same key is pending
+ */
+export function isRequestPending(key) {
+  return (
+    inFlightRequests.has(key) ||
+    debouncedRequests.has(key) ||
+    (remoteDebounceWindows.get(key) ?? 0) > Date.now()
+  );
+}
+
+/**
+ * Returns the keys of the pending requests, for inspection.
+ *
+ * @returns {{ inFlight: string[], debounced: string[], remoteDebounceWindows: { key: string, closesAt: number }[] }}
+ */
+export function getPendingRequestKeys() {
+  return {
+    inFlight: [...inFlightRequests.keys()],
+    debounced: [...debouncedRequests.keys()],
+    remoteDebounceWindows: [...remoteDebounceWindows].map(([key, closesAt]) => ({ key, closesAt })),
+  };
+}
+
+/**
+ * Cancels the in-flight request with the given `key`, removing its dedup and heartbeat state.
+ * Callers waiting on it (including its owner) settle with `replacement` if given,
+ * or reject with an `AbortError` otherwise.
+ *
+ * Aborting the underlying network request is up to the caller (e.g. via an `AbortController`).
+ *
+ * @param {string} key - The key of the request to cancel
+ * @param {Promise<Response>} [replacement] - The newer request's response to hand to waiting callers
+ * @returns {boolean} `true` if an in-flight request was cancelled
+ */
+export function cancelDedupedRequest(key, replacement) {
+  const deferred = inFlightRequests.get(key);
+  if (!deferred) return false;
+
+  logger.log('dedup', `Cancelling request with key '${key}'`);
+  inFlightRequests.delete(key);
+  endHeartbeat(key);
+
+  deferred.cancelled = true;
+  deferred.promise.catch(() => {});
+
+  if (replacement) {
+    deferred.resolve(replacement);
+  } else {
+    deferred.reject(new DOMException(`Request with key '${key}' was superseded`, 'AbortError'));
+  }
+
+  return true;
+}
+
+/**
+ * The latest cancellable request per resource (e.g. host + endpoint pattern + method).
+ *
+ * @type {Map<string, { key: string, controller: AbortController }>}
+ */
+const latestRequestsByResource = new Map();
+
+/**
+ * The response of the newer request, for the controllers of requests superseded with `'latest'`.
+ *
+ * @type {WeakMap<AbortController, Promise<Response>>}
+ */
+const replacementResponses = new WeakMap();
+
+/**
+ * Registers `key` as the latest request for a resource, aborting and cancelling the previous
+ * in-flight request to the same resource, if it has a different key.
+ *
+ * @param {string} resourceKey - Identifies the resource (e.g. host + endpoint pattern + method)
+ * @param {string} key - The key of the new request (usually a cache key)
+ * @param {AbortController} controller - Aborts the new request's network call when it gets superseded
+ * @param {Promise<Response>} responsePromise - The new request's response
+ * @param {'reject' | 'latest'} [supersededBehavior='reject'] - Whether callers of the previous
+ * request reject with an `AbortError` or receive the new request's response
+ */
+export function supersedePreviousRequest(
+  resourceKey,
+  key,
+  controller,
+  responsePromise,
+  supersededBehavior = 'reject'
+) {
+  const previous = latestRequestsByResource.get(resourceKey);
+  const current = { key, controller };
+
+  latestRequestsByResource.set(resourceKey, current);
+
+  if (previous && previous.key !== key) {
+    if (supersededBehavior === 'latest') {
+      replacementResponses.set(previous.controller, responsePromise);
+    }
+
+    previous.controller.abort();
+    cancelDedupedRequest(
+      previous.key,
+      supersededBehavior === 'latest' ? responsePromise : undefined
+    );
+  }
+
+  const cleanUp = () => {
+    if (latestRequestsByResource.get(resourceKey) === current) {
+      latestRequestsByResource.delete(resourceKey);
+    }
+  };
+
+  responsePromise.then(cleanUp, cleanUp);
+}
+
+/**
+ * Returns the response of the request that superseded the one aborted by `controller`,
+ * for requests that are not deduplicated (e.g. `network-only`) and therefore not settled
+ * by `cancelDedupedRequest`.
+ *
+ * @param {AbortController} controller - The controller of the superseded request
+ * @returns {Promise<Response> | undefined} The newer request's response, if superseded with `'latest'`
+ */
+export function getReplacementResponse(controller) {
+  return replacementResponses.get(controller);
+}
+
 channel.addEventListener('message', event => {
-  const { type, key, response: serialized } = event.data ?? {};
+  const { type, key, response: serialized, windowMs } = event.data ?? {};
+
+  if (type === 'debounce-window') {
+    handleRemoteDebounceWindow(key, windowMs);
+    return;
+  }
+
+  if (type === 'response-ready') {
+    closeRemoteDebounceWindow(key);
+  }
 
   if (type === 'response-ready' && inFlightRequests.has(key)) {
     try {
-      const response = deserializeResponse(serialized);
+      const response = deserializeResponse(serialized, channel);
       resolveFromOtherTab(key, response);
     } catch (error) {
       logger.error('dedup', `Failed to deserialize response for key '${key}': ${error}`);
@@ -98,3 +303,166 @@ export function resolveFromOtherTab(key, response) {
     inFlightRequests.delete(key);
   }
 }
+
+/**
+ * Debounces requests with the same `key` across tabs: all requests arriving within `windowMs`
+ * of each other collapse into a single network call, made once the window closes.
+ * Each new request extends the window, and the latest request's `fetcher` is the one executed.
+ *
+ * Tabs announce their windows on the shared `BroadcastChannel`. A tab receiving a request while
+ * another tab's window is open joins that window and waits for its `'response-ready'` message,
+ * falling back to its own request if none arrives in time.
+ *
+ * @param {string} key - Unique identifier for the request (usually a cache key)
+ * @param {() => Promise<Response>} fetcher - Function that triggers the actual network request
+ * @param {number} windowMs - The debounce window in milliseconds
+ * @param {{ waitUntil?: (promise: Promise<unknown>) => void }} [options] - See `getDedupedResponse`
+ * @returns {Promise<Response>} Promise that resolves to a clone of the shared response
+ */
+export function getDebouncedResponse(key, fetcher, windowMs, { waitUntil } = {}) {
+  const pending = debouncedRequests.get(key);
+
+  if (pending) {
+    logger.log('dedup', `Debouncing request with key '${key}'`);
+    pending.fetcher = fetcher;
+    pending.waitUntil = waitUntil;
+    extendDebounceWindow(key, pending);
+    return pending.deferred.promise.then(response => response.clone());
+  }
+
+  if ((remoteDebounceWindows.get(key) ?? 0) > Date.now()) {
+    return joinRemoteDebounceWindow(key, fetcher, windowMs, waitUntil);
+  }
+
+  /** @type {DebouncedRequest} */
+  const debounced = {
+    deferred: Promise.withResolvers(),
+    fetcher,
+    waitUntil,
+    windowMs,
+    timeoutId: 0,
+  };
+  debouncedRequests.set(key, debounced);
+  extendDebounceWindow(key, debounced);
+
+  return debounced.deferred.promise.then(response => response.clone());
+}
+
+/**
+ * (Re)starts the debounce window of a request owned by this tab and announces it to other tabs.
+ *
+ * @param {string} key - The key of the debounced request
+ * @param {DebouncedRequest} debounced - The debounced request
+ */
+function extendDebounceWindow(key, debounced) {
+  scheduleDebouncedFetch(key, debounced);
+  channel.postMessage({ type: 'debounce-window', key, windowMs: debounced.windowMs });
+}
+
+/**
+ * (Re)starts the timer executing a debounced request once its window closes.
+ *
+ * @param {string} key - The key of the debounced request
+ * @param {DebouncedRequest} debounced - The debounced request
+ */
+function scheduleDebouncedFetch(key, debounced) {
+  clearTimeout(debounced.timeoutId);
+
+  debounced.timeoutId = setTimeout(async () => {
+    debouncedRequests.delete(key);
+
+    try {
+      debounced.deferred.resolve(
+        await getDedupedResponse(key, debounced.fetcher, { waitUntil: debounced.waitUntil })
+      );
+    } catch (error) {
+      debounced.deferred.reject(error);
+    }
+  }, debounced.windowMs);
+}
+
+/**
+ * Handles a debounce window announced by another tab: extends the local window if this tab
+ * owns a debounced request with the same key, otherwise records the remote window.
+ *
+ * @param {string} key - The key of the debounced request
+ * @param {number} windowMs - The debounce window in milliseconds
+ */
+function handleRemoteDebounceWindow(key, windowMs) {
+  const debounced = debouncedRequests.get(key);
+
+  if (debounced) {
+    scheduleDebouncedFetch(key, debounced);
+    return;
+  }
+
+  openRemoteDebounceWindow(key, windowMs);
+}
+
+/**
+ * Records (or extends) the debounce window of another tab, until it closes.
+ *
+ * @param {string} key - The key of the debounced request
+ * @param {number} windowMs - The debounce window in milliseconds
+ */
+function openRemoteDebounceWindow(key, windowMs) {
+  clearTimeout(remoteDebounceWindowTimers.get(key));
+  remoteDebounceWindows.set(key, Date.now() + windowMs);
+  remoteDebounceWindowTimers.set(
+    key,
+    setTimeout(() => closeRemoteDebounceWindow(key), windowMs)
+  );
+}
+
+/**
+ * Forgets the debounce window of another tab, once it closes or its response arrives.
+ *
+ * @param {string} key - The key of the debounced request
+ */
+function closeRemoteDebounceWindow(key) {
+  clearTimeout(remoteDebounceWindowTimers.get(key));
+  remoteDebounceWindowTimers.delete(key);
+  remoteDebounceWindows.delete(key);
+}
+
+/**
+ * Waits for another tab's debounced request to complete, extending its window.
+ * Falls back to a local request if no response arrives within the window plus the dedup timeout.
+ *
+ * @param {string} key - The key of the debounced request
+ * @param {() => Promise<Response>} fetcher - Function that triggers the actual network request
+ * @param {number} windowMs - The debounce window in milliseconds
+ * @param {(promise: Promise<unknown>) => void} [waitUntil] - See `getDedupedResponse`
+ * @returns {Promise<Response>} Promise that resolves to a clone of the shared response
+ */
+function joinRemoteDebounceWindow(key, fetcher, windowMs, waitUntil) {
+  logger.log('dedup', `Joining debounce window of another tab for key '${key}'`);
+
+  if (!inFlightRequests.has(key)) {
+    const deferred = Promise.withResolvers();
+    inFlightRequests.set(key, deferred);
+
+    let timeoutId;
+    const checkOwner = () => {
+      if (inFlightRequests.get(key) !== deferred) return;
+
+      // The other tab is still fetching, keep waiting for it
+      if (isOwnerAlive(key)) {
+        timeoutId = setTimeout(checkOwner, defaultTimeoutMs);
+        return;
+      }
+
+      logger.log('dedup', `No response from other tab for key '${key}', fetching locally`);
+      inFlightRequests.delete(key);
+      getDedupedResponse(key, fetcher, { waitUntil }).then(deferred.resolve, deferred.reject);
+    };
+
+    timeoutId = setTimeout(checkOwner, windowMs + defaultTimeoutMs);
+    deferred.promise.finally(() => clearTimeout(timeoutId)).catch(() => {});
+  }
+
+  channel.postMessage({ type: 'debounce-window', key, windowMs });
+  openRemoteDebounceWindow(key, windowMs);
+
+  return inFlightRequests.get(key).promise.then(response => response.clone());
+}
@@ -0,0 +1,30 @@
+/* global btoa, atob */
+/**
+ * Base64 encoding of binary data, e.g. for HAR bodies and encrypted response headers.
+ */
+
+/**
+ * Encodes bytes as base64, in chunks to stay within the argument limit of `String.fromCharCode`.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 into bytes.
+ *
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
@@ -0,0 +1,438 @@
+/* global navigator, MessageChannel, BroadcastChannel, atob */
+/**
+ * Page-side entry point of FullCache.
+ * Validates the `init()` options, serializes them into the service worker URL
+ * (read back by `src/index.js` from its `env` search param), registers the worker
+ * and returns a handle for talking to it over `postMessage`.
+ */
+
+/**
+ * @typedef {import('./cache-config-store.js').CacheConfig} CacheConfig
+ * @typedef {import('./offline-queue.js').OfflineQueueEvent} OfflineQueueEvent
+ * @typedef {import('./cache-telemetry.js').TelemetrySnapshot} TelemetrySnapshot
+ * @typedef {import('./index.js').WorkerInspection} WorkerInspection
+ * @typedef {import('./har-converter.js').Har} Har
+ */
+
+/**
+ * @typedef {Object} InitOptions
+ * @property {string} webSocketServerUrl the URL of the WebSocket server for cache config updates
+ * @property {string} cacheName the name of the `CacheStorage` bucket
+ * @property {string} workerPath the URL of the service worker script
+ * @property {string} [fallbackPollingServerUrl] the URL for fallback polling requests
+ * @property {number} [fallbackPollingIntervalMs] the interval for fallback polling in milliseconds
+ * @property {number} [backgroundSyncMinIntervalMs] enables background sync with this minimum interval
+ * @property {number} [backgroundSyncMaxBytes] the data budget of a single background sync in bytes
+ * @property {string[]} [ignoreOrigins] origins to exclude from caching
+ * @property {string} [scope] optional service worker registration scope
+ * @property {boolean} [persistStorage] requests persistent storage (`navigator.storage.persist()`),
+ * so the browser doesn't evict the cache under storage pressure
+ * @property {'strict' | 'lenient'} [configValidation] whether received configs with unknown keys
+ * are rejected (`'strict'`) or applied with a warning (`'lenient'`). Defaults to `'lenient'`
+ * @property {string} [telemetryEndpoint] the URL receiving cache telemetry events as OTLP/JSON logs
+ * (e.g. an OpenTelemetry Collector's `/v1/logs`)
+ * @property {number} [telemetryExportIntervalMs] the maximum delay before buffered events are exported
+ * @property {string} [precacheManifestUrl] the URL of a JSON manifest of the static assets (e.g.
+ * the app shell) to precache on `install` and serve cache-first, as an array of `{ url, revision }`.
+ * The URL must change along with the manifest (e.g. a content hash), which installs a new worker
+ */
+
+/**
+ * @typedef {Object} FullCacheHandle
+ * @property {ServiceWorkerRegistration} registration the underlying service worker registration
+ * @property {Promise<ServiceWorker>} ready resolves with the active worker once it is activated,
+ * replaced by a newer worker once that one activates
+ * @property {() => Promise<void>} clear clears all cached API responses and runtime-cached assets
+ * @property {() => Promise<CacheConfig | null>} getConfig returns the worker's current cache config
+ * @property {() => Promise<boolean>} unregister unregisters the service worker
+ * @property {(options: PushSubscriptionOptions) => Promise<PushSubscription>} subscribeToPush
+ * subscribes to Web Push and sends the subscription to the backend
+ * @property {() => Promise<boolean>} replayOfflineQueue replays queued offline mutations, resolving
+ * with `true` if the queue was drained. Also called automatically when the browser goes online
+ * @property {(listener: (event: OfflineQueueEvent) => void) => () => void} onOfflineQueueEvent
+ * subscribes to offline queue progress and conflicts, returning an unsubscribe function
+ * @property {() => Promise<void>} rotateEncryptionKey replaces the key of `encrypt` entries,
+ * deleting the entries encrypted with the previous key
+ * @property {() => Promise<void>} wipeEncryptionKey deletes the key of `encrypt` entries along with
+ * all encrypted entries, e.g. on logout
+ * @property {(options?: { reset?: boolean }) => Promise<TelemetrySnapshot>} getTelemetry returns the
+ * cache telemetry aggregated per host, endpoint and method, optionally starting a new period
+ * @property {(options?: { limit?: number }) => Promise<WorkerInspection>} inspect returns the worker's
+ * current state: config and its source, `WebSocket` status, pending dedup keys and heartbeats,
+ * and the cached entries (up to `limit`, with key header values redacted)
+ * @property {(url: string) => Promise<boolean>} evictEntry deletes a single cached entry by its
+ * redacted cache key URL (`entries[].url` of `inspect()`), resolving with `true` if it existed
+ * @property {(options?: { includeCredentials?: boolean }) => Promise<Har>} exportHar exports the
+ * cached entries as a HAR 1.2 file, with the original requests and decrypted responses, without
+ * credential headers unless `includeCredentials`
+ * @property {(har: Har, options?: { preserveTimestamps?: boolean }) => Promise<{ imported: number, skipped: number }>} importHar
+ * seeds the cache from a HAR file under the active cache key rules, stored now unless `preserveTimestamps`
+ */
+
+/**
+ * @typedef {Object} PushSubscriptionOptions
+ * @property {string} vapidPublicKey the backend's VAPID public key, base64url-encoded
+ * @property {string} subscriptionUrl the backend endpoint receiving the subscription as a JSON `POST`
+ * @property {boolean} [userVisibleOnly] whether every push shows a notification. Defaults to `true`,
+ * which is required by most browsers
+ * @property {Record<string, string>} [headers] extra headers for the `POST` (e.g. `Authorization`)
+ */
+
+/**
+ * Timeout in milliseconds for a single request/response round trip to the worker.
+ */
+const messageTimeoutMs = 5000;
+
+/**
+ * Timeout in milliseconds for HAR exports and imports, which read or write every cached entry.
+ */
+const harMessageTimeoutMs = 60_000;
+
+/**
+ * Name of the `BroadcastChannel` the worker reports offline queue progress on,
+ * see `offlineQueueChannelName` in `offline-queue.js`.
+ */
+const offlineQueueChannelName = 'full-cache-offline-queue';
+
+/**
+ * Validates the `init()` options and throws a descriptive error for the first problem found.
+ * Catches the common `websocketServerUrl` / `webSocketServerUrl` mix-up explicitly.
+ *
+ * @param {InitOptions} options the options passed to `init()`
+ * @throws {Error} if a required option is missing or an option has the wrong type
+ */
+function validateOptions(options) {
+  if (!options || typeof options !== 'object') {
+    throw new Error('FullCache.init() expects an options object');
+  }
+
+  if ('websocketServerUrl' in options && !('webSocketServerUrl' in options)) {
+    throw new Error('Unknown option `websocketServerUrl`, did you mean `webSocketServerUrl`?');
+  }
+
+  for (const name of ['webSocketServerUrl', 'cacheName', 'workerPath']) {
+    if (typeof options[name] !== 'string' || !options[name]) {
+      throw new Error(`Missing required option \`${name}\``);
+    }
+  }
+
+  for (const name of ['fallbackPollingServerUrl', 'telemetryEndpoint']) {
+    if (options[name] != null && typeof options[name] !== 'string') {
+      throw new Error(`Option \`${name}\` must be a string`);
+    }
+  }
+
+  for (const name of [
+    'fallbackPollingIntervalMs',
+    'backgroundSyncMinIntervalMs',
+    'backgroundSyncMaxBytes',
+    'telemetryExportIntervalMs',
+  ]) {
+    if (options[name] != null && (!Number.isFinite(options[name]) || options[name] <= 0)) {
+      throw new Error(`Option \`${name}\` must be a positive number`);
+    }
+  }
+
+  if (options.persistStorage != null && typeof options.persistStorage !== 'boolean') {
+    throw new Error('Option `persistStorage` must be a boolean');
+  }
+
+  if (
+    options.configValidation != null &&
+    !['strict', 'lenient'].includes(options.configValidation)
+  ) {
+    throw new Error("Option `configValidation` must be 'strict' or 'lenient'");
+  }
+
+  if (options.precacheManifestUrl != null && typeof options.precacheManifestUrl !== 'string') {
+    throw new Error('Option `precacheManifestUrl` must be a string');
+  }
+
+  if (options.ignoreOrigins != null) {
+    const { ignoreOrigins } = options;
+    if (!Array.isArray(ignoreOrigins) || ignoreOrigins.some(origin => typeof origin !== 'string')) {
+      throw new Error('Option `ignoreOrigins` must be an array of strings');
+    }
+  }
+}
+
+/**
+ * Builds the service worker script URL with the options serialized into its `env` search param,
+ * using the exact property names expected by the worker's `Environment`.
+ *
+ * @param {InitOptions} options the validated `init()` options
+ * @returns {string} the worker script URL to register
+ */
+function buildWorkerUrl(options) {
+  const env = {
+    cacheName: options.cacheName,
+    websocketServerUrl: options.webSocketServerUrl,
+    fallbackPollingServerUrl: options.fallbackPollingServerUrl,
+    fallbackPollingIntervalMs: options.fallbackPollingIntervalMs,
+    backgroundSyncMinIntervalMs: options.backgroundSyncMinIntervalMs,
+    backgroundSyncMaxBytes: options.backgroundSyncMaxBytes,
+    configValidation: options.configValidation,
+    telemetryEndpoint: options.telemetryEndpoint,
+    telemetryExportIntervalMs: options.telemetryExportIntervalMs,
+    ignoreOrigins: options.ignoreOrigins,
+    precacheManifestUrl:
+      options.precacheManifestUrl &&
+      new URL(options.precacheManifestUrl, globalThis.location.href).href,
+  };
+
+  const url = new URL(options.workerPath, globalThis.location.href);
+  url.searchParams.set('env', JSON.stringify(env));
+
+  return url.pathname + url.search;
+}
+
+/**
+ * Resolves once the given worker reaches the `activated` state.
+ *
+ * @param {ServiceWorker} worker the worker to wait for
+ * @returns {Promise<ServiceWorker>} a promise that resolves with the activated worker
+ */
+function waitForActivation(worker) {
+  return new Promise((resolve, reject) => {
+    if (worker.state === 'activated') {
+      resolve(worker);
+      return;
+    }
+
+    worker.addEventListener('statechange', function onStateChange() {
+      if (worker.state === 'activated') {
+        worker.removeEventListener('statechange', onStateChange);
+        resolve(worker);
+      } else if (worker.state === 'redundant') {
+        worker.removeEventListener('statechange', onStateChange);
+        reject(new Error('Service worker became redundant before activation'));
+      }
+    });
+  });
+}
+
+/**
+ * Sends a message to the worker and waits for its reply on a dedicated `MessageChannel`.
+ *
+ * @param {ServiceWorker} worker the worker to message
+ * @param {{ type: string }} message the message to send
+ * @param {number} [timeoutMs] how long to wait for the reply
+ * @returns {Promise<unknown>} a promise that resolves with the `data` of the worker's reply
+ * @throws {Error} if the worker replies with an error or does not reply in time
+ */
+function sendMessage(worker, message, timeoutMs = messageTimeoutMs) {
+  return new Promise((resolve, reject) => {
+    const { port1, port2 } = new MessageChannel();
+
+    const timeoutId = setTimeout(() => {
+      port1.close();
+      reject(new Error(`Timeout: no reply from service worker for '${message.type}'`));
+    }, timeoutMs);
+
+    port1.onmessage = event => {
+      clearTimeout(timeoutId);
+      port1.close();
+
+      const { error, data } = event.data ?? {};
+      if (error) {
+        reject(new Error(error));
+      } else {
+        resolve(data);
+      }
+    };
+
+    worker.postMessage(message, [port2]);
+  });
+}
+
+/**
+ * Decodes a base64url string (as used for VAPID keys) into bytes.
+ *
+ * @param {string} base64Url the base64url-encoded string
+ * @returns {Uint8Array} the decoded bytes
+ */
+function base64UrlToBytes(base64Url) {
+  const padding = '='.repeat((4 - (base64Url.length % 4)) % 4);
+  const base64 = (base64Url + padding).replace(/-/g, '+').replace(/_/g, '/');
+
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Creates (or reuses) the Web Push subscription of a registration and sends it to the backend,
+ * so it can push `CACHE_CONFIG` payloads to the worker while the app is closed.
+ *
+ * @param {ServiceWorkerRegistration} registration the FullCache service worker registration
+ * @param {PushSubscriptionOptions} options
+ * @returns {Promise<PushSubscription>} a promise that resolves with the push subscription
+ * @throws {Error} if push is not supported, permission is denied, or the backend rejects the subscription
+ */
+async function subscribeToPush(
+  registration,
+  { vapidPublicKey, subscriptionUrl, userVisibleOnly = true, headers }
+) {
+  if (!registration.pushManager) {
+    throw new Error('Push messages are not supported in this browser');
+  }
+
+  if (!vapidPublicKey || !subscriptionUrl) {
+    throw new Error('Missing required option `vapidPublicKey` or `subscriptionUrl`');
+  }
+
+  const subscription =
+    (await registration.pushManager.getSubscription()) ||
+    (await registration.pushManager.subscribe({
+      userVisibleOnly,
+      applicationServerKey: base64UrlToBytes(vapidPublicKey),
+    }));
+
+  const response = await fetch(subscriptionUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(subscription),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to send push subscription: ${response.status} ${response.statusText}`);
+  }
+
+  return subscription;
+}
+
+/**
+ * Subscribes to the offline queue events broadcast by the worker.
+ *
+ * @param {(event: OfflineQueueEvent) => void} listener called for every event
+ * @returns {() => void} a function that unsubscribes the listener
+ */
+function onOfflineQueueEvent(listener) {
+  const channel = new BroadcastChannel(offlineQueueChannelName);
+  channel.onmessage = event => listener(event.data);
+
+  return () => channel.close();
+}
+
+/**
+ * Registers the FullCache service worker and waits for it to become active.
+ *
+ * @param {InitOptions} options the FullCache options
+ * @returns {Promise<FullCacheHandle>} a promise that resolves to a handle for the running worker
+ * @throws {Error} if the options are invalid or service workers are not supported
+ */
+export async function init(options) {
+  validateOptions(options);
+
+  if (!('serviceWorker' in navigator)) {
+    throw new Error('Service workers are not supported in this browser');
+  }
+
+  // Only available to pages, not to the worker
+  if (options.persistStorage) {
+    await navigator.storage?.persist?.();
+  }
+
+  const registration = await navigator.serviceWorker.register(
+    buildWorkerUrl(options),
+    options.scope ? { scope: options.scope } : undefined
+  );
+
+  /** @type {FullCacheHandle} */
+  const handle = {
+    registration,
+    // An update waiting for the pages of the previous build to close doesn't hold `init()` up
+    ready: registration.active
+      ? Promise.resolve(registration.active)
+      : waitForActivation(registration.installing || registration.waiting),
+    clear: async () => {
+      await sendMessage(await handle.ready, { type: 'CLEAR_CACHE' });
+    },
+    getConfig: async () => {
+      return /** @type {CacheConfig | null} */ (
+        await sendMessage(await handle.ready, { type: 'GET_CONFIG' })
+      );
+    },
+    unregister: () => registration.unregister(),
+    subscribeToPush: pushOptions => subscribeToPush(registration, pushOptions),
+    replayOfflineQueue: async () => {
+      return /** @type {boolean} */ (
+        await sendMessage(await handle.ready, { type: 'REPLAY_OFFLINE_QUEUE' })
+      );
+    },
+    onOfflineQueueEvent,
+    rotateEncryptionKey: async () => {
+      await sendMessage(await handle.ready, { type: 'ROTATE_ENCRYPTION_KEY' });
+    },
+    wipeEncryptionKey: async () => {
+      await sendMessage(await handle.ready, { type: 'WIPE_ENCRYPTION_KEY' });
+    },
+    getTelemetry: async ({ reset = false } = {}) => {
+      return /** @type {TelemetrySnapshot} */ (
+        await sendMessage(await handle.ready, { type: 'GET_TELEMETRY', reset })
+      );
+    },
+    inspect: async ({ limit } = {}) => {
+      return /** @type {WorkerInspection} */ (
+        await sendMessage(await handle.ready, { type: 'INSPECT', limit })
+      );
+    },
+    evictEntry: async url => {
+      return /** @type {boolean} */ (
+        await sendMessage(await handle.ready, { type: 'EVICT_ENTRY', url })
+      );
+    },
+    exportHar: async ({ includeCredentials = false } = {}) => {
+      return /** @type {Har} */ (
+        await sendMessage(
+          await handle.ready,
+          { type: 'EXPORT_HAR', includeCredentials },
+          harMessageTimeoutMs
+        )
+      );
+    },
+    importHar: async (har, { preserveTimestamps = false } = {}) => {
+      return /** @type {{ imported: number, skipped: number }} */ (
+        await sendMessage(
+          await handle.ready,
+          { type: 'IMPORT_HAR', har, preserveTimestamps },
+          harMessageTimeoutMs
+        )
+      );
+    },
+  };
+
+  // Browsers without Background Sync never fire `sync`, so replay on reconnect from the page too
+  globalThis.addEventListener('online', () => {
+    handle.replayOfflineQueue().catch(() => {});
+  });
+
+  // A newer worker replaces the current one once it activates: right away, as it calls
+  // `skipWaiting()`, or once the pages of the previous build are closed if its precache manifest
+  // changed. The update may have been found before `register()` resolved
+  const replaceOnActivation = worker => {
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'activating') {
+        // The replaced promise rejects if its worker turns redundant, with no caller left to handle it
+        handle.ready.catch(() => {});
+        handle.ready = waitForActivation(worker);
+      }
+    });
+  };
+
+  if (registration.active) {
+    [registration.installing, registration.waiting].filter(Boolean).forEach(replaceOnActivation);
+  }
+  registration.addEventListener('updatefound', () => {
+    if (registration.installing) {
+      replaceOnActivation(registration.installing);
+    }
+  });
+
+  await handle.ready;
+
+  return handle;
+}
+
+/**
+ * The public API of the page-side client, as used in `FullCache.init()`.
+ */
+export const FullCache = Object.freeze({ init });
@@ -0,0 +1,304 @@
+/* global HTMLElement, customElements, document */
+/**
+ * Page-side debug panel for FullCache, as a `<full-cache-debug-panel>` custom element.
+ * Shows the worker's config source, `WebSocket` status and pending dedup requests,
+ * and lists the cached entries with their freshness, letting a developer evict them one by one.
+ * It only reads the worker's state through the handle's `inspect()` and `evictEntry()`,
+ * listing at most `max-entries` entries (100 by default) so that refreshes stay cheap.
+ *
+ * @example
+ * import './full-cache-debug-panel.js';
+ *
+ * const panel = document.createElement('full-cache-debug-panel');
+ * panel.handle = await FullCache.init({ ... });
+ * panel.setAttribute('refresh-interval', '2000');
+ * document.body.append(panel);
+ *
+ * @typedef {import('./full-cache-client.js').FullCacheHandle} FullCacheHandle
+ * @typedef {import('./index.js').WorkerInspection} WorkerInspection
+ * @typedef {import('./api-cache-manager.js').CacheEntryInfo} CacheEntryInfo
+ */
+
+const styles = `
+  :host {
+    display: block;
+    font: 12px/1.4 ui-monospace, SFMono-Regular, Menlo, monospace;
+    color: #e5e5e5;
+    background: #1e1e1e;
+    border: 1px solid #3c3c3c;
+    border-radius: 4px;
+    padding: 8px;
+  }
+  header {
+    display: flex;
+    flex-wrap: wrap;
+    gap: 12px;
+    align-items: center;
+    margin-bottom: 8px;
+  }
+  table {
+    width: 100%;
+    border-collapse: collapse;
+  }
+  th,
+  td {
+    text-align: left;
+    padding: 2px 6px;
+    border-bottom: 1px solid #333;
+    white-space: nowrap;
+  }
+  td.url {
+    max-width: 420px;
+    overflow: hidden;
+    text-overflow: ellipsis;
+  }
+  button {
+    font: inherit;
+    cursor: pointer;
+  }
+  .fresh { color: #4cfc61; }
+  .stale { color: #fc4c4c; }
+  .expired { color: #fcb84c; }
+  .error { color: #fc4c4c; }
+`;
+
+/**
+ * Formats a timestamp as a local time, or a dash if it is missing.
+ *
+ * @param {number | null} timestamp
+ * @returns {string}
+ */
+function formatTime(timestamp) {
+  return timestamp ? new Date(timestamp).toLocaleTimeString() : '–';
+}
+
+/**
+ * Formats a byte count, or a dash if it is unknown.
+ *
+ * @param {number | null} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (bytes == null) return '–';
+  if (bytes < 1024) return `${bytes} B`;
+
+  return `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+/**
+ * Creates an element with the given text content and optional class.
+ *
+ * @param {string} tagName
+ * @param {string} text
+ * @param {string} [className]
+ * @returns {HTMLElement}
+ */
+function createElement(tagName, text, className) {
+  const element = document.createElement(tagName);
+  element.textContent = text;
+
+  if (className) {
+    element.className = className;
+  }
+
+  return element;
+}
+
+/**
+ * Number of entries listed when the `max-entries` attribute is not set.
+ */
+const defaultMaxEntries = 100;
+
+export class FullCacheDebugPanel extends HTMLElement {
+  static observedAttributes = ['refresh-interval', 'max-entries'];
+
+  /**
+   * The handle returned by `FullCache.init()`.
+   * @type {FullCacheHandle | null}
+   */
+  #handle = null;
+
+  /**
+   * Timer ID of the automatic refresh.
+   * @type {number}
+   */
+  #refreshIntervalId = 0;
+
+  /**
+   * The refresh in progress, skipped by the automatic refresh until it settles.
+   * @type {Promise<void> | null}
+   */
+  #pendingRefresh = null;
+
+  /** @type {HTMLElement} */
+  #status;
+
+  /** @type {HTMLTableSectionElement} */
+  #rows;
+
+  constructor() {
+    super();
+
+    const root = this.attachShadow({ mode: 'open' });
+    const style = createElement('style', styles);
+    const header = document.createElement('header');
+    const refreshButton = createElement('button', 'Refresh');
+    const table = document.createElement('table');
+    const head = document.createElement('thead');
+    const headRow = document.createElement('tr');
+
+    this.#status = document.createElement('span');
+    this.#rows = document.createElement('tbody');
+
+    refreshButton.addEventListener('click', () => void this.refresh());
+    header.append(refreshButton, this.#status);
+
+    for (const title of ['Method', 'URL', 'Endpoint', 'Stored', 'Freshness', 'Size', 'Hits', '']) {
+      headRow.append(createElement('th', title));
+    }
+
+    head.append(headRow);
+    table.append(head, this.#rows);
+    root.append(style, header, table);
+  }
+
+  /**
+   * The handle returned by `FullCache.init()`. Setting it refreshes the panel.
+   */
+  get handle() {
+    return this.#handle;
+  }
+
+  set handle(handle) {
+    this.#handle = handle;
+    void this.refresh();
+  }
+
+  connectedCallback() {
+    this.#startAutoRefresh();
+  }
+
+  disconnectedCallback() {
+    clearInterval(this.#refreshIntervalId);
+  }
+
+  attributeChangedCallback(name) {
+    if (!this.isConnected) return;
+
+    if (name === 'max-entries') {
+      void this.refresh();
+    } else {
+      this.#startAutoRefresh();
+    }
+  }
+
+  /**
+   * (Re)starts refreshing every `refresh-interval` milliseconds, if the attribute is set.
+   */
+  #startAutoRefresh() {
+    clearInterval(this.#refreshIntervalId);
+
+    const intervalMs = Number(this.getAttribute('refresh-interval'));
+
+    if (intervalMs > 0) {
+      this.#refreshIntervalId = setInterval(() => {
+        if (!this.#pendingRefresh) void this.refresh();
+      }, intervalMs);
+    }
+  }
+
+  /**
+   * Reloads the worker's state and re-renders the panel.
+   *
+   * @returns {Promise<void>}
+   */
+  async refresh() {
+    if (!this.#handle) {
+      this.#status.textContent = 'No FullCache handle set';
+      return;
+    }
+
+    const maxEntries = Number(this.getAttribute('max-entries'));
+    const refresh = this.#handle
+      .inspect({ limit: maxEntries > 0 ? maxEntries : defaultMaxEntries })
+      .then(inspection => this.#render(inspection))
+      .catch(error => {
+        this.#status.replaceChildren(createElement('span', `Failed to inspect: ${error}`, 'error'));
+      })
+      .finally(() => {
+        if (this.#pendingRefresh === refresh) this.#pendingRefresh = null;
+      });
+
+    this.#pendingRefresh = refresh;
+    await refresh;
+  }
+
+  /**
+   * Evicts a single entry and refreshes the panel.
+   *
+   * @param {string} url the redacted cache key URL of the entry
+   * @returns {Promise<void>}
+   */
+  async #evict(url) {
+    try {
+      await this.#handle.evictEntry(url);
+    } catch (error) {
+      this.#status.replaceChildren(createElement('span', `Failed to evict: ${error}`, 'error'));
+      return;
+    }
+
+    await this.refresh();
+  }
+
+  /**
+   * @param {WorkerInspection} inspection
+   */
+  #render({ config, socket, dedup, entries, entryCount }) {
+    this.#status.textContent = [
+      `Config: ${config.current ? (config.source ?? 'unknown source') : 'none'}`,
+      config.version != null ? `v${config.version}` : null,
+      config.updatedAt ? `at ${formatTime(config.updatedAt)}` : null,
+      `| WebSocket: ${socket.connected ? 'connected' : 'disconnected'}`,
+      `| In flight: ${dedup.inFlight.length}, debounced: ${dedup.debounced.length}`,
+      entries.length < entryCount
+        ? `| Entries: ${entries.length} of ${entryCount}`
+        : `| Entries: ${entryCount}`,
+    ]
+      .filter(Boolean)
+      .join(' ');
+
+    this.#rows.replaceChildren(...entries.map(entry => this.#renderEntry(entry)));
+  }
+
+  /**
+   * @param {CacheEntryInfo} entry
+   * @returns {HTMLTableRowElement}
+   */
+  #renderEntry(entry) {
+    const row = document.createElement('tr');
+    const url = createElement('td', entry.requestUrl, 'url');
+    const evictButton = createElement('button', 'Evict');
+    const actions = document.createElement('td');
+
+    url.title = entry.url;
+    evictButton.addEventListener('click', () => void this.#evict(entry.url));
+    actions.append(evictButton);
+
+    row.append(
+      createElement('td', entry.method),
+      url,
+      createElement('td', entry.endpoint ?? '–'),
+      createElement('td', formatTime(entry.storedAt)),
+      createElement('td', entry.freshness ?? 'unconfigured', entry.freshness ?? undefined),
+      createElement('td', formatBytes(entry.size)),
+      createElement('td', String(entry.hits ?? '–')),
+      actions
+    );
+
+    return row;
+  }
+}
+
+if (!customElements.get('full-cache-debug-panel')) {
+  customElements.define('full-cache-debug-panel', FullCacheDebugPanel);
+}
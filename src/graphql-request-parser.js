@@ -0,0 +1,271 @@
+/**
+ * Parses GraphQL requests sent over HTTP: `POST` with a JSON (or `application/graphql`) body,
+ * and `GET` with `query`, `operationName`, `variables` and `extensions` search params.
+ * Also understands automatic persisted queries, which send the `sha256Hash` of the query
+ * in `extensions.persistedQuery`, with or without the query text.
+ *
+ * Queries are normalized without a full GraphQL parser: comments, commas and insignificant
+ * whitespace are dropped, so that equivalent query texts produce the same cache key.
+ */
+
+/**
+ * @typedef {'query' | 'mutation' | 'subscription'} GraphQLOperationType
+ */
+
+/**
+ * @typedef {Object} GraphQLOperation
+ * @property {string | null} operationName The name of the operation, `null` if anonymous
+ * @property {GraphQLOperationType | null} type The operation type, `null` if only a persisted query hash was sent
+ * @property {string | null} query The normalized query, `null` if only a persisted query hash was sent
+ * @property {Record<string, unknown>} variables The variables, `{}` if none were sent
+ * @property {string | null} persistedQueryHash The `sha256Hash` of a persisted query, if any
+ */
+
+/**
+ * The search params of a GraphQL `GET` request.
+ */
+export const graphqlSearchParams = ['query', 'operationName', 'variables', 'extensions'];
+
+const operationTypes = ['query', 'mutation', 'subscription'];
+
+/**
+ * Matches the lexical tokens of a GraphQL document: block strings, strings, comments,
+ * ignored characters (whitespace and commas), punctuators, and names or numbers.
+ */
+const tokenRegex =
+  /"""(?:\\"""|[^])*?"""|"(?:\\.|[^"\\\n])*"|#[^\n\r]*|[\s,\uFEFF]+|\.\.\.|[!&():=@[\]{}|]|[^\s,!&():=@[\]{}|"#]+/g;
+
+const isPlainObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Splits a GraphQL document into its significant tokens.
+ *
+ * @param {string} query the GraphQL document
+ * @returns {string[]} the tokens, without comments and ignored characters
+ */
+function tokenize(query) {
+  return (query.match(tokenRegex) ?? []).filter(
+    token => !token.startsWith('#') && !/^[\s,\uFEFF]+$/.test(token)
+  );
+}
+
+/**
+ * Lists the operations defined in a tokenized document. Fragments are skipped, and
+ * a selection set without a keyword (`{ user { id } }`) is an anonymous query.
+ *
+ * @param {string[]} tokens the tokens of the document
+ * @returns {{ type: GraphQLOperationType, name: string | null }[]} the operations, in order
+ */
+function findOperations(tokens) {
+  const operations = [];
+  let braceDepth = 0;
+  let parenDepth = 0;
+  let isInDefinitionHeader = false;
+
+  tokens.forEach((token, i) => {
+    if (token === '(') {
+      parenDepth++;
+    } else if (token === ')') {
+      parenDepth--;
+    } else if (parenDepth) {
+      // Variable default values and directive arguments can contain braces
+    } else if (!braceDepth && operationTypes.includes(token)) {
+      const name = /^[_A-Za-z]\w*$/.test(tokens[i + 1] ?? '') ? tokens[i + 1] : null;
+      operations.push({ type: token, name });
+      isInDefinitionHeader = true;
+    } else if (!braceDepth && token === 'fragment') {
+      isInDefinitionHeader = true;
+    } else if (token === '{') {
+      if (!braceDepth && !isInDefinitionHeader) {
+        operations.push({ type: 'query', name: null });
+      }
+
+      isInDefinitionHeader = false;
+      braceDepth++;
+    } else if (token === '}') {
+      braceDepth--;
+    }
+  });
+
+  return operations;
+}
+
+/**
+ * Normalizes a GraphQL document, dropping comments, commas and insignificant whitespace.
+ *
+ * @param {string} query the GraphQL document
+ * @returns {string} the normalized document, e.g. `query User ( $id : ID ! ) { user ( id : $id ) { name } }`
+ */
+export function normalizeGraphQLQuery(query) {
+  return tokenize(query).join(' ');
+}
+
+/**
+ * Parses a GraphQL request payload, as sent in a JSON body or the search params of a `GET`.
+ *
+ * @param {unknown} payload the payload, e.g. `{ query, operationName, variables, extensions }`
+ * @returns {GraphQLOperation | null} the operation, or `null` if the payload is not a single
+ * GraphQL operation (e.g. a batch), or the requested operation is not in the document
+ */
+export function parseGraphQLPayload(payload) {
+  if (!isPlainObject(payload)) return null;
+
+  const { query, operationName, variables, extensions } = payload;
+  const persistedQueryHash = extensions?.persistedQuery?.sha256Hash;
+
+  if (
+    (query != null && typeof query !== 'string') ||
+    (operationName != null && typeof operationName !== 'string') ||
+    (persistedQueryHash != null && typeof persistedQueryHash !== 'string') ||
+    (!query && !persistedQueryHash)
+  ) {
+    return null;
+  }
+
+  let type = null;
+  let name = operationName || null;
+
+  if (query) {
+    const operations = findOperations(tokenize(query));
+    const operation = name
+      ? operations.find(candidate => candidate.name === name)
+      : operations.length === 1
+        ? operations[0]
+        : undefined;
+
+    if (!operation) return null;
+
+    type = operation.type;
+    name = operation.name;
+  }
+
+  return {
+    operationName: name,
+    type,
+    query: query ? normalizeGraphQLQuery(query) : null,
+    variables: isPlainObject(variables) ? variables : {},
+    persistedQueryHash: persistedQueryHash ?? null,
+  };
+}
+
+/**
+ * Parses the GraphQL search params of a `GET` request, whose `variables` and `extensions`
+ * are JSON-encoded.
+ *
+ * @param {URLSearchParams} searchParams the search params
+ * @returns {GraphQLOperation | null} the operation, or `null` if the params are not a GraphQL operation
+ */
+export function parseGraphQLSearchParams(searchParams) {
+  try {
+    const [query, operationName, variables, extensions] = graphqlSearchParams.map(name =>
+      searchParams.get(name)
+    );
+
+    return parseGraphQLPayload({
+      query,
+      operationName,
+      variables: variables ? JSON.parse(variables) : undefined,
+      extensions: extensions ? JSON.parse(extensions) : undefined,
+    });
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Reads the GraphQL operation of a request, without consuming its body.
+ *
+ * @param {Request} request the request
+ * @returns {Promise<GraphQLOperation | null>} the operation, or `null` if the request is not
+ * a single GraphQL operation
+ */
+export async function readGraphQLOperation(request) {
+  if (request.method === 'GET') {
+    return parseGraphQLSearchParams(new URL(request.url).searchParams);
+  }
+
+  const contentType = request.headers.get('content-type') ?? '';
+
+  try {
+    if (contentType.includes('application/graphql')) {
+      return parseGraphQLPayload({
+        query: await request.clone().text(),
+        operationName: new URL(request.url).searchParams.get('operationName'),
+      });
+    }
+
+    return parseGraphQLPayload(await request.clone().json());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Checks whether a GraphQL response reports errors. Such responses usually have a `200` status,
+ * but must not be cached (e.g. a `PersistedQueryNotFound` error).
+ *
+ * @param {Response} response the response, which is cloned before reading
+ * @returns {Promise<boolean>} `true` if the body has `errors`, or is not valid JSON
+ */
+export async function hasGraphQLErrors(response) {
+  try {
+    const { errors } = await response.clone().json();
+    return Array.isArray(errors) && errors.length > 0;
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Sorts the keys of objects at any depth, keeping the order of array items.
+ *
+ * @param {unknown} value
+ * @returns {unknown}
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map(key => [key, canonicalize(value[key])])
+    );
+  }
+
+  return value;
+}
+
+/**
+ * Builds the canonical payload of an operation, from which its cache key is built.
+ * Persisted queries are identified by their hash alone, so that requests sending only the hash
+ * share an entry with those also sending the query text.
+ *
+ * @param {GraphQLOperation} operation the operation
+ * @returns {{ operationName?: string, query?: string, extensions?: object, variables?: object }}
+ * a valid GraphQL request payload
+ */
+export function toGraphQLPayload({ operationName, query, variables, persistedQueryHash }) {
+  return {
+    ...(operationName && { operationName }),
+    ...(persistedQueryHash
+      ? { extensions: { persistedQuery: { version: 1, sha256Hash: persistedQueryHash } } }
+      : { query }),
+    ...(Object.keys(variables).length && { variables: canonicalize(variables) }),
+  };
+}
+
+/**
+ * Encodes the canonical payload of an operation as the search params of a `GET` request.
+ *
+ * @param {GraphQLOperation} operation the operation
+ * @returns {[string, string][]} the search params
+ */
+export function toGraphQLSearchParams(operation) {
+  return Object.entries(toGraphQLPayload(operation)).map(([name, value]) => [
+    name,
+    typeof value === 'string' ? value : JSON.stringify(value),
+  ]);
+}
@@ -0,0 +1,236 @@
+import { bytesToBase64, base64ToBytes } from './encoding.js';
+
+/**
+ * Converts cached API entries to and from HAR 1.2 (HTTP Archive) entries.
+ * Bodies of textual content types are kept as text, others as base64.
+ * Cache metadata is carried in custom fields: `_cacheTimestamp` (the time the entry was stored)
+ * and `_cacheTags` (the server-assigned cache tags).
+ *
+ * @see http://www.softwareishard.com/blog/har-12-spec/
+ */
+
+/**
+ * @typedef {{ name: string, value: string }} HarNameValue
+ */
+
+/**
+ * @typedef {Object} HarEntry
+ * @property {string} startedDateTime
+ * @property {number} time
+ * @property {{ method: string, url: string, httpVersion: string, cookies: [], headers: HarNameValue[], queryString: HarNameValue[], postData?: { mimeType: string, text: string }, headersSize: number, bodySize: number }} request
+ * @property {{ status: number, statusText: string, httpVersion: string, cookies: [], headers: HarNameValue[], content: { size: number, mimeType: string, text?: string, encoding?: 'base64' }, redirectURL: string, headersSize: number, bodySize: number }} response
+ * @property {Object} cache
+ * @property {{ send: number, wait: number, receive: number }} timings
+ * @property {number} [_cacheTimestamp] Timestamp (ms since epoch) when the entry was stored
+ * @property {string[]} [_cacheTags] The server-assigned cache tags of the entry
+ */
+
+/**
+ * @typedef {Object} Har
+ * @property {{ version: string, creator: { name: string, version: string }, entries: HarEntry[] }} log
+ */
+
+/** Content types whose bodies are stored as text */
+const textualContentType = /^text\/|[/+](json|xml|javascript|x-www-form-urlencoded)\b/;
+
+/** Statuses whose responses must not have a body */
+const nullBodyStatuses = [101, 103, 204, 205, 304];
+
+/** Headers describing the encoding of the original transfer, no longer true for the decoded body */
+const transferHeaders = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+/** Headers carrying credentials, left out of exported entries unless asked for */
+const credentialHeaders = ['authorization', 'proxy-authorization', 'cookie', 'set-cookie'];
+
+/**
+ * Request headers a page can't set (recorded by devtools, but rejected or ignored by `Request`).
+ *
+ * @see https://fetch.spec.whatwg.org/#forbidden-request-header
+ */
+const forbiddenRequestHeaders = [
+  'accept-charset',
+  'accept-encoding',
+  'access-control-request-headers',
+  'access-control-request-method',
+  'connection',
+  'content-length',
+  'cookie',
+  'cookie2',
+  'date',
+  'dnt',
+  'expect',
+  'host',
+  'keep-alive',
+  'origin',
+  'referer',
+  'set-cookie',
+  'te',
+  'trailer',
+  'transfer-encoding',
+  'upgrade',
+  'via',
+];
+
+/**
+ * Whether a recorded request header can be replayed by a `Request`. HTTP/2 pseudo-headers
+ * (`:authority`, `:path`, …) are invalid header names, and forbidden headers belong to the browser.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+function isReplayableRequestHeader(name) {
+  const lowerCaseName = name.toLowerCase();
+
+  return (
+    !lowerCaseName.startsWith(':') &&
+    !lowerCaseName.startsWith('proxy-') &&
+    !lowerCaseName.startsWith('sec-') &&
+    !forbiddenRequestHeaders.includes(lowerCaseName)
+  );
+}
+
+/**
+ * @param {Headers} headers
+ * @param {string[]} excludedHeaders lowercase names of the headers to leave out
+ * @returns {HarNameValue[]}
+ */
+function toHarHeaders(headers, excludedHeaders) {
+  return [...headers]
+    .filter(([name]) => !excludedHeaders.includes(name))
+    .map(([name, value]) => ({ name, value }));
+}
+
+/**
+ * Builds a HAR 1.2 document from entries.
+ *
+ * @param {HarEntry[]} entries
+ * @returns {Har}
+ */
+export function createHar(entries) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'full-cache', version: '1.0' },
+      entries,
+    },
+  };
+}
+
+/**
+ * Converts a cached entry into a HAR entry.
+ * Credential headers (`Authorization`, `Cookie`, `Set-Cookie`, …) are left out unless
+ * `includeCredentials` is set, so that exported files can be shared.
+ *
+ * @param {Object} entry
+ * @param {Request} entry.request the original request (see `revertCacheKeyRequest`)
+ * @param {string} entry.requestBody the request body the cache key was built from, `''` if none
+ * @param {Response} entry.response the decrypted cached response, without cache metadata headers
+ * @param {number | null} entry.storedAt timestamp (ms since epoch) when the entry was stored
+ * @param {string[]} entry.tags the server-assigned cache tags
+ * @param {{ includeCredentials?: boolean }} [options] whether to keep credential headers
+ * @returns {Promise<HarEntry>}
+ */
+export async function toHarEntry(
+  { request, requestBody, response, storedAt, tags },
+  { includeCredentials = false } = {}
+) {
+  const excludedHeaders = includeCredentials ? [] : credentialHeaders;
+  const url = new URL(request.url);
+  const requestMimeType = request.headers.get('content-type') ?? '';
+  const mimeType = response.headers.get('content-type') ?? '';
+  const bytes = new Uint8Array(await response.arrayBuffer());
+
+  const content = { size: bytes.byteLength, mimeType };
+
+  if (bytes.byteLength) {
+    if (textualContentType.test(mimeType)) {
+      content.text = new TextDecoder().decode(bytes);
+    } else {
+      content.text = bytesToBase64(bytes);
+      content.encoding = 'base64';
+    }
+  }
+
+  return {
+    startedDateTime: new Date(storedAt ?? Date.now()).toISOString(),
+    time: 0,
+    request: {
+      method: request.method,
+      url: request.url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(request.headers, excludedHeaders),
+      queryString: [...url.searchParams].map(([name, value]) => ({ name, value })),
+      ...(requestBody && { postData: { mimeType: requestMimeType, text: requestBody } }),
+      headersSize: -1,
+      bodySize: requestBody ? new TextEncoder().encode(requestBody).byteLength : 0,
+    },
+    response: {
+      status: response.status,
+      statusText: response.statusText,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: toHarHeaders(response.headers, excludedHeaders),
+      content,
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: bytes.byteLength,
+    },
+    cache: {},
+    timings: { send: 0, wait: 0, receive: 0 },
+    _cacheTimestamp: storedAt ?? undefined,
+    _cacheTags: tags.length ? tags : undefined,
+  };
+}
+
+/**
+ * Rebuilds the request and response of a HAR entry.
+ * Request headers a page can't set (HTTP/2 pseudo-headers, `Cookie`, `Host`, `Sec-*`, …) are
+ * dropped, as devtools recordings include them.
+ * Transfer headers (`Content-Encoding`, `Content-Length`) are dropped, since the HAR holds the
+ * decoded body, and `Content-Length` is set to the size of that body.
+ *
+ * @param {HarEntry} entry the HAR entry
+ * @returns {{ request: Request, response: Response, storedAt: number | undefined }}
+ * @throws {TypeError} if the entry is malformed
+ */
+export function fromHarEntry(entry) {
+  const { request: harRequest, response: harResponse } = entry;
+  const method = harRequest.method.toUpperCase();
+  const requestBody = ['GET', 'HEAD'].includes(method) ? undefined : harRequest.postData?.text;
+
+  const request = new Request(harRequest.url, {
+    method,
+    headers: harRequest.headers
+      .filter(({ name }) => isReplayableRequestHeader(name))
+      .map(({ name, value }) => [name, value]),
+    body: requestBody,
+  });
+
+  const { text = '', encoding } = harResponse.content ?? {};
+  const body = nullBodyStatuses.includes(harResponse.status)
+    ? null
+    : encoding === 'base64'
+      ? base64ToBytes(text)
+      : new TextEncoder().encode(text);
+
+  const headers = new Headers(
+    harResponse.headers
+      .filter(({ name }) => !name.startsWith(':') && !transferHeaders.includes(name.toLowerCase()))
+      .map(({ name, value }) => [name, value])
+  );
+
+  if (body) {
+    headers.set('content-length', String(body.byteLength));
+  }
+
+  const response = new Response(body, {
+    status: harResponse.status,
+    statusText: harResponse.statusText,
+    headers,
+  });
+
+  const storedAt = entry._cacheTimestamp ?? Date.parse(entry.startedDateTime);
+
+  return { request, response, storedAt: Number.isFinite(storedAt) ? storedAt : undefined };
+}
@@ -5,9 +5,21 @@ import { logger } from './logger.js';
 import { CacheConfigStore } from './cache-config-store.js';
 import { CacheConfigSyncClient } from './cache-config-sync-client.js';
 import { APICacheManager } from './api-cache-manager.js';
-import { getResponse, debounce, singleton } from './utils.js';
+import { getResponse, getGraphQLOperation, debounce, singleton } from './utils.js';
 import { FallbackPollingManager } from './fallback-polling-manager.js';
-import { dispose } from './task-heartbeat-manager.js';
+import { dispose, getHeartbeats } from './task-heartbeat-manager.js';
+import { getPendingRequestKeys } from './dedup-response-manager.js';
+import { replayOfflineQueue, offlineQueueSyncTag, offlineQueueIdHeader } from './offline-queue.js';
+import { rotateEncryptionKey, wipeEncryptionKey } from './cache-encryption.js';
+import {
+  configureTelemetryExport,
+  getTelemetrySnapshot,
+  flushTelemetryIfDue,
+} from './cache-telemetry.js';
+import { hasGraphQLErrors } from './graphql-request-parser.js';
+import { PrecacheManager } from './precache-manager.js';
+import { AssetCacheManager } from './asset-cache-manager.js';
+import { loadBackgroundSyncTimestamp, saveBackgroundSyncTimestamp } from './config-persistence.js';
 
 /**
  * The `ServiceWorkerGlobalScope` context for this service worker.
@@ -27,12 +39,65 @@ const cacheTimestampHeader = 'x-cache-timestamp';
  * @property {string[]} [ignoreOrigins]
  * @property {string} [fallbackPollingServerUrl] the URL for fallback polling requests
  * @property {number} [fallbackPollingIntervalMs] the interval for fallback polling in milliseconds
+ * @property {number} [backgroundSyncMinIntervalMs] the minimum interval between background syncs
+ * in milliseconds. Background sync is disabled if not set
+ * @property {number} [backgroundSyncMaxBytes] the maximum number of bytes downloaded per background sync
+ * @property {'strict' | 'lenient'} [configValidation] whether received configs with unknown keys
+ * are rejected or applied with a warning. Defaults to `'lenient'`
+ * @property {string} [telemetryEndpoint] the URL receiving telemetry events as OTLP/JSON logs
+ * @property {number} [telemetryExportIntervalMs] the maximum delay before buffered events are exported
+ * @property {string} [precacheManifestUrl] the absolute URL of the JSON manifest of the static
+ * assets to precache on `install` and serve cache-first
  */
 
+/**
+ * The worker's state as returned for the `INSPECT` message.
+ *
+ * @typedef {Object} WorkerInspection
+ * @property {{ current: CacheConfig | null, source: CacheConfigSource | null, updatedAt: number | null, version: string | number | null }} config
+ * the current config, where it came from, when it was set and its server-assigned version
+ * @property {{ url: string, connected: boolean, reconnectBackoffMs: number }} socket the `WebSocket` status
+ * @property {ReturnType<typeof getPendingRequestKeys> & { heartbeats: ReturnType<typeof getHeartbeats> }} dedup
+ * the keys of in-flight and debounced requests, and the heartbeats of the tasks known to this worker
+ * @property {CacheEntryInfo[]} entries the cached entries, up to the requested `limit`
+ * @property {number} entryCount the number of cached entries, including those not listed
+ *
+ * @typedef {import('./cache-config-store.js').CacheConfig} CacheConfig
+ * @typedef {import('./cache-config-sync-client.js').CacheConfigSource} CacheConfigSource
+ * @typedef {import('./cache-config-sync-client.js').DataBudget} DataBudget
+ * @typedef {import('./api-cache-manager.js').CacheEntryInfo} CacheEntryInfo
+ * @typedef {import('./graphql-request-parser.js').GraphQLOperation} GraphQLOperation
+ */
+
+/**
+ * Parses the `Environment` from the `env` search param of the worker script URL.
+ * Runs on every worker start, not only on `install`, since the browser may restart the worker
+ * at any time (e.g. to handle a `push` event while the app is closed).
+ *
+ * @returns {Environment | null} the parsed environment, or `null` if it is not valid JSON
+ */
+function parseEnv() {
+  const { searchParams } = new URL(self.location);
+
+  try {
+    return JSON.parse(searchParams.get('env') || '{}');
+  } catch (error) {
+    logger.error('install', `Failed to parse environment variables: ${error}`);
+    return null;
+  }
+}
+
 /**
  * @type {Environment | null}
  */
-let env = null;
+const env = parseEnv();
+
+if (env?.telemetryEndpoint) {
+  configureTelemetryExport({
+    endpoint: env.telemetryEndpoint,
+    intervalMs: env.telemetryExportIntervalMs,
+  });
+}
 
 /**
  * Manages the underlying `CacheStorage` using the provided `cacheName`.
@@ -40,6 +105,22 @@ let env = null;
  */
 const getApiCacheManager = singleton(() => new APICacheManager(globalThis.caches, env.cacheName));
 
+/**
+ * Precaches the static assets of the `precacheManifestUrl` manifest, next to the API cache.
+ * @type {() => PrecacheManager}
+ */
+const getPrecacheManager = singleton(
+  () => new PrecacheManager(globalThis.caches, env.cacheName, env.precacheManifestUrl)
+);
+
+/**
+ * Caches static assets by the `assets` rules of the config, in a bucket next to the API cache.
+ * @type {() => AssetCacheManager}
+ */
+const getAssetCacheManager = singleton(
+  () => new AssetCacheManager(globalThis.caches, env.cacheName)
+);
+
 /**
  * Handles the current in-memory cache configuration and updates via `WebSocket`.
  * Clears the cache whenever the configuration is reset or becomes invalid.
@@ -50,10 +131,17 @@ const cacheConfigStore = new CacheConfigStore({
     await apiCacheManager.clear();
     getPollingManager()?.stop();
   },
-  onSet: async () => {
+  onSet: async (changeScope, { warmUpBudget }) => {
     const apiCacheManager = getApiCacheManager();
-    await apiCacheManager.deleteStaleEntries(cacheConfigStore, cacheTimestampHeader);
-    await debouncedWarmUpCache(['on-update', 'always']);
+    await apiCacheManager.deleteStaleEntries(cacheConfigStore, cacheTimestampHeader, changeScope);
+    await enforceAssetRules();
+
+    // A config polled by a background sync re-warms within the data budget of the sync
+    if (warmUpBudget) {
+      await warmUpCache(['on-update', 'always'], { budget: warmUpBudget });
+    } else {
+      await debouncedWarmUpCache(['on-update', 'always']);
+    }
   },
 });
 
@@ -85,48 +173,72 @@ const getCacheConfigSyncClient = singleton(
   () =>
     new CacheConfigSyncClient(env.websocketServerUrl, {
       onReceiveNewCacheConfig: cacheConfigStore.set,
+      onInvalidate: handleInvalidation,
       onDisconnect: async () => {
         await cacheConfigStore.reset();
         getPollingManager()?.start();
+        await registerOneOffSync();
       },
       onConnect: async () => {
         getPollingManager()?.stop();
+        replayOfflineQueue().catch(error =>
+          logger.error('offline-queue', `Failed to replay the queue: ${error}`)
+        );
         await debouncedWarmUpCache(['on-update', 'always']);
       },
       fallbackPollingServerUrl: env.fallbackPollingServerUrl,
+      validationMode: env.configValidation,
     })
 );
 
 /**
  * Handles the `install` lifecycle event of the service worker.
- * Forces the service worker to become active immediately.
- * This is useful for updating the service worker without waiting for the next page load.
+ * Precaches the assets of the precache manifest: if it or any of them fails, the install fails and
+ * the previous worker stays active. Then forces the service worker to become active immediately.
+ * This is useful for updating the service worker without waiting for the next page load, unless
+ * the precache manifest changed: activating would delete the assets of the pages still open on
+ * the previous build, so the worker waits for them to close.
  */
 self.addEventListener('install', event => {
-  const { searchParams } = new URL(self.location);
-
-  try {
-    env = JSON.parse(searchParams.get('env') || '{}');
+  if (!env) {
+    event.waitUntil(self.skipWaiting());
+    return;
+  }
 
-    if (!env.cacheName || !env.websocketServerUrl) {
-      logger.error('install', 'Missing required environment variables');
-    } else {
-      event.waitUntil(connect().then(() => self.skipWaiting()));
-      return;
-    }
-  } catch (error) {
-    logger.error('install', `Failed to parse environment variables: ${error}`);
+  if (!env.cacheName || !env.websocketServerUrl) {
+    logger.error('install', 'Missing required environment variables');
+    event.waitUntil(self.skipWaiting());
+    return;
   }
 
-  event.waitUntil(self.skipWaiting());
+  event.waitUntil(
+    getPrecacheManager()
+      .install()
+      .then(connect)
+      .then(async () => {
+        if (!(await getPrecacheManager().hasOutdatedBuckets())) {
+          await self.skipWaiting();
+        }
+      })
+  );
 });
 
 /**
  * Handles the `activate` lifecycle event of the service worker.
- * Initializes the `WebSocket` connection to start receiving cache configuration updates.
+ * Initializes the `WebSocket` connection to start receiving cache configuration updates,
+ * and deletes the precache buckets of previous manifests.
  */
 self.addEventListener('activate', event => {
-  event.waitUntil(connect());
+  event.waitUntil(
+    Promise.all([
+      connect(),
+      registerBackgroundSync(),
+      env?.cacheName &&
+        getPrecacheManager()
+          .deleteOutdatedBuckets()
+          .catch(error => logger.error('precache', `Failed to delete outdated buckets: ${error}`)),
+    ])
+  );
 });
 
 async function connect() {
@@ -134,7 +246,7 @@ async function connect() {
     await getCacheConfigSyncClient().connect();
 
     if (!cacheConfigStore.current) {
-      await cacheConfigStore.loadFromCacheIfValid();
+      await cacheConfigStore.loadFromCacheIfValid({ validationMode: env.configValidation });
     }
   } catch (error) {
     logger.error('activate', `Failed to connect via WebSocket: ${error}`);
@@ -146,44 +258,401 @@ async function connect() {
  * Handles the `message` event from the client.
  * Used to trigger cache warm-up requests.
  * @param {Request} request the request to warm up the cache for
+ * @param {(promise: Promise<unknown>) => void} waitUntil extends the event lifetime for background work
  * @returns {Promise<Response>} a promise that resolves to the response for the given request
  */
-async function connectAndFetch(request) {
+async function connectAndFetch(request, waitUntil) {
   await connect();
-  const endpointCacheConfig = cacheConfigStore.resolveRequestSettings(request, env.ignoreOrigins);
+  const assetRule = getAssetCacheManager().findRule(request, cacheConfigStore.current?.assets);
+
+  if (assetRule) {
+    return getAssetCacheManager().handle(request, assetRule, cacheTimestampHeader, waitUntil, {
+      onStore: () => waitUntil(enforceAssetRulesAfterWrite()),
+    });
+  }
+
+  const graphqlOperation = await getGraphQLOperation(request, cacheConfigStore);
+  const endpointCacheConfig = cacheConfigStore.resolveRequestSettings(
+    request,
+    env.ignoreOrigins,
+    graphqlOperation
+  );
 
   if (endpointCacheConfig) {
     const cache = await globalThis.caches.open(env.cacheName);
-    return await getResponse(request, cacheTimestampHeader, cacheConfigStore, cache);
+    const response = await getResponse(request, cacheTimestampHeader, cacheConfigStore, cache, {
+      waitUntil,
+      graphqlOperation,
+      onStore: () => waitUntil(enforceQuotasAfterWrite()),
+    });
+
+    // Queued offline mutations have not reached the server yet, so nothing is invalidated
+    if (
+      endpointCacheConfig.invalidates?.length &&
+      response.ok &&
+      !response.headers.has(offlineQueueIdHeader)
+    ) {
+      await invalidateRelatedEntries(request, endpointCacheConfig.invalidates, cache, waitUntil);
+    }
+
+    if (
+      endpointCacheConfig.graphqlOperation?.type === 'mutation' &&
+      response.ok &&
+      !response.headers.has(offlineQueueIdHeader)
+    ) {
+      // Scanning the cache for the invalidated operations must not delay the mutation's response
+      waitUntil(
+        invalidateGraphQLOperations(request, endpointCacheConfig.graphqlOperation, response.clone())
+      );
+    }
+
+    return response;
   }
 
   return await fetch(request);
 }
 
+/**
+ * Deletes the entries invalidated by a successful request before its response is returned,
+ * so that follow-up reads of the page hit the network. Entries of rules with `rewarm`
+ * are fetched again in the background.
+ *
+ * @param {Request} request the request that succeeded
+ * @param {InvalidationRule[]} rules the `invalidates` rules of the request
+ * @param {Cache} cache the cache of the API responses
+ * @param {(promise: Promise<unknown>) => void} waitUntil extends the event lifetime for background work
+ * @returns {Promise<void>}
+ */
+async function invalidateRelatedEntries(request, rules, cache, waitUntil) {
+  try {
+    const rewarmRequests = await getApiCacheManager().deleteInvalidatedEntries(
+      request,
+      rules,
+      cacheConfigStore
+    );
+
+    if (rewarmRequests.length) {
+      waitUntil(
+        Promise.allSettled(
+          rewarmRequests.map(rewarmRequest =>
+            getResponse(rewarmRequest, cacheTimestampHeader, cacheConfigStore, cache, {
+              isPrefetch: true,
+              onStore: () => waitUntil(enforceQuotasAfterWrite()),
+            })
+          )
+        )
+      );
+    }
+  } catch (error) {
+    logger.error('get-response', `Failed to invalidate entries for ${request.url}: ${error}`);
+  }
+}
+
+/**
+ * Deletes the entries of the operations a successful GraphQL mutation invalidates,
+ * unless its response reports errors.
+ *
+ * @param {Request} request the mutation request
+ * @param {GraphQLOperation} graphqlOperation the operation of the request
+ * @param {Response} response the response of the mutation
+ */
+async function invalidateGraphQLOperations(request, graphqlOperation, response) {
+  try {
+    const operationNames = cacheConfigStore.resolveInvalidatedOperations(request, graphqlOperation);
+    if (!operationNames.length || (await hasGraphQLErrors(response))) return;
+
+    await getApiCacheManager().deleteGraphQLOperationEntries(
+      request,
+      operationNames,
+      cacheConfigStore
+    );
+  } catch (error) {
+    logger.error('get-response', `Failed to invalidate operations for ${request.url}: ${error}`);
+  }
+}
+
 /**
  * Intercepts `fetch` events and attempts to serve matching requests from the cache.
  * If the request is configured to be cached, a response will be served from cache
  * (if available and valid) or fetched from the network and cached.
+ * Assets of the precache manifest are served cache-first from their bucket.
+ * Requests matching an `assets` rule of the config are served by the rule, before the API `hosts`.
  */
 self.addEventListener('fetch', event => {
-  event.respondWith(connectAndFetch(event.request));
+  const responsePromise = matchPrecache(event.request).then(
+    precachedResponse =>
+      precachedResponse ?? connectAndFetch(event.request, promise => event.waitUntil(promise))
+  );
+
+  event.respondWith(responsePromise);
+  event.waitUntil(exportTelemetryAfter(responsePromise));
 });
 
+/**
+ * Serves a request from the precache, if it is for an asset of the manifest. A manifest that
+ * can't be loaded (e.g. evicted while offline) leaves the request to the regular handling.
+ *
+ * @param {Request} request the intercepted request
+ * @returns {Promise<Response | null>} the precached asset, or `null` if the request isn't for one
+ */
+async function matchPrecache(request) {
+  if (!env?.cacheName) return null;
+
+  try {
+    return await getPrecacheManager().match(request);
+  } catch (error) {
+    logger.error('precache', `Failed to serve from the precache: ${error}`);
+    return null;
+  }
+}
+
+/**
+ * Exports a due telemetry batch once the work of an event has settled, so that the event
+ * recording the events also keeps the worker alive for their export.
+ *
+ * @param {Promise<unknown>} promise the work of the event
+ * @returns {Promise<void>}
+ */
+function exportTelemetryAfter(promise) {
+  return promise.then(
+    () => flushTelemetryIfDue(),
+    () => flushTelemetryIfDue()
+  );
+}
+
 self.addEventListener('deactivate', event => {
   event.waitUntil(dispose());
 });
 
+/**
+ * Handles control messages sent by the page-side client (`full-cache-client.js`).
+ * Replies on the `MessagePort` transferred with the message, as `{ data }` or `{ error }`.
+ */
+self.addEventListener('message', event => {
+  const [port] = event.ports;
+  const { type } = event.data ?? {};
+
+  const reply = async () => {
+    switch (type) {
+      case 'CLEAR_CACHE':
+        await getApiCacheManager().clear();
+        await getAssetCacheManager().clear();
+        return;
+      case 'GET_CONFIG':
+        return cacheConfigStore.current;
+      case 'GET_TELEMETRY':
+        return getTelemetrySnapshot({ reset: !!event.data.reset });
+      case 'INSPECT':
+        return await inspect({ limit: event.data.limit });
+      case 'EVICT_ENTRY':
+        return await getApiCacheManager().deleteEntry(event.data.url);
+      case 'EXPORT_HAR':
+        return await getApiCacheManager().exportHar(cacheTimestampHeader, {
+          includeCredentials: !!event.data.includeCredentials,
+        });
+      case 'IMPORT_HAR': {
+        const result = await getApiCacheManager().importHar(
+          event.data.har,
+          cacheConfigStore,
+          cacheTimestampHeader,
+          { preserveTimestamps: !!event.data.preserveTimestamps }
+        );
+        await enforceQuotasAfterWrite();
+        return result;
+      }
+      case 'REPLAY_OFFLINE_QUEUE':
+        return await replayOfflineQueue();
+      case 'ROTATE_ENCRYPTION_KEY': {
+        const { id } = await rotateEncryptionKey();
+        await getApiCacheManager().deleteEncryptedEntries(id);
+        return;
+      }
+      case 'WIPE_ENCRYPTION_KEY':
+        await wipeEncryptionKey();
+        await getApiCacheManager().deleteEncryptedEntries();
+        return;
+      default:
+        throw new Error(`Unknown message type: ${type}`);
+    }
+  };
+
+  event.waitUntil(
+    reply()
+      .then(data => port?.postMessage({ data }))
+      .catch(error => {
+        logger.error('message', `Failed to handle '${type}' message: ${error}`);
+        port?.postMessage({ error: String(error) });
+      })
+  );
+});
+
+/**
+ * Collects the worker's state for the `INSPECT` message (e.g. for the debug panel).
+ * The returned object is structured-cloneable and read-only: changing it has no effect.
+ *
+ * @param {{ limit?: number }} [options] the maximum number of entries to list (all by default)
+ * @returns {Promise<WorkerInspection>}
+ */
+async function inspect({ limit } = {}) {
+  const syncClient = getCacheConfigSyncClient();
+  const { entries, entryCount } = await getApiCacheManager().inspectEntries(
+    cacheConfigStore,
+    cacheTimestampHeader,
+    { limit }
+  );
+
+  return {
+    config: {
+      current: cacheConfigStore.current,
+      source: cacheConfigStore.source,
+      updatedAt: cacheConfigStore.updatedAt,
+      version: syncClient.currentVersion,
+    },
+    socket: {
+      url: env.websocketServerUrl,
+      connected: syncClient.isConnected,
+      reconnectBackoffMs: syncClient.reconnectBackoffMs,
+    },
+    dedup: { ...getPendingRequestKeys(), heartbeats: getHeartbeats() },
+    entries,
+    entryCount,
+  };
+}
+
+/**
+ * Handles Web Push messages sent by the backend, even while the app is closed.
+ * A `{ type: 'CACHE_CONFIG', data, version }` payload replaces the current config, after which stale
+ * entries are swept and `'on-update'` / `'always'` requests are re-warmed (by `onSet`)
+ * before the event completes.
+ * A `{ type: 'INVALIDATE', id, selector }` payload deletes the matching entries.
+ * An optional `notification` (`{ title, ...NotificationOptions }`) is shown when present,
+ * for subscriptions that must display one per push (`userVisibleOnly`).
+ */
+self.addEventListener('push', event => {
+  const pushPromise = handlePush(event.data);
+
+  event.waitUntil(pushPromise);
+  event.waitUntil(exportTelemetryAfter(pushPromise));
+});
+
+/**
+ * Parses, validates and applies a push payload.
+ *
+ * @param {PushMessageData | null} data the data of the `push` event
+ * @returns {Promise<void>}
+ */
+async function handlePush(data) {
+  let payload;
+
+  try {
+    payload = data?.json();
+  } catch (error) {
+    logger.error('push', `Invalid push payload: ${error}`);
+    return;
+  }
+
+  const { type, data: cacheConfig, notification } = payload ?? {};
+
+  if (notification?.title) {
+    const { title, ...options } = notification;
+    await self.registration.showNotification(title, options);
+  }
+
+  if (type === 'INVALIDATE') {
+    if (env?.cacheName && payload.selector && typeof payload.selector === 'object') {
+      await handleInvalidation({ id: payload.id, selector: payload.selector });
+    } else {
+      logger.warn('push', 'Ignoring INVALIDATE push message without a selector');
+    }
+    return;
+  }
+
+  if (type !== 'CACHE_CONFIG') {
+    logger.warn('push', `Unknown push message type: ${type}`);
+    return;
+  }
+
+  if (!env?.cacheName) {
+    logger.error('push', 'Missing required environment variables');
+    return;
+  }
+
+  logger.info('push', 'Received cache config via push');
+
+  // Applied through the sync client, so that later patches build on the pushed config.
+  // Resolves once `onSet` has swept stale entries and re-warmed the cache.
+  // Invalid configs are reported to the server over the `WebSocket`, if it is open.
+  const applied = await getCacheConfigSyncClient().receiveConfig(cacheConfig, payload.version, {
+    source: 'push',
+    awaitOnSet: true,
+  });
+
+  if (!applied) {
+    logger.warn('push', 'Ignoring push message without a valid cache config');
+  }
+}
+
+/**
+ * IDs of the most recently applied `INVALIDATE` messages, oldest first, so a message delivered
+ * again (e.g. by every poll until the server drops it, or by both push and `WebSocket`) is applied once.
+ * @type {Set<string>}
+ */
+const appliedInvalidationIds = new Set();
+
+/** Maximum number of IDs kept in `appliedInvalidationIds` */
+const maxAppliedInvalidationIds = 100;
+
+/**
+ * Applies an `INVALIDATE` message received via `WebSocket`, polling or push.
+ *
+ * @param {InvalidationMessage} message the invalidation message
+ * @returns {Promise<void>}
+ */
+async function handleInvalidation({ id, selector }) {
+  if (id != null && appliedInvalidationIds.has(id)) {
+    logger.log('api-cache-manager', `Skipping already applied invalidation '${id}'`);
+    return;
+  }
+
+  try {
+    const deletedCount = await getApiCacheManager().invalidate(selector, cacheConfigStore);
+    logger.info('api-cache-manager', `Invalidated ${deletedCount} entries`, selector);
+  } catch (error) {
+    // Not recorded as applied, so that a redelivery of the message retries it
+    logger.error('api-cache-manager', `Failed to invalidate entries: ${error}`, selector);
+    return;
+  }
+
+  if (id != null) {
+    appliedInvalidationIds.add(id);
+
+    if (appliedInvalidationIds.size > maxAppliedInvalidationIds) {
+      appliedInvalidationIds.delete(appliedInvalidationIds.values().next().value);
+    }
+  }
+}
+
 /**
  * Prefetches and caches requests based on the current config and given prefetch modes.
  *
  * @param {PrefetchMode[]} modes list of prefetch modes to include (e.g. ['on-load'])
+ * @param {{ budget?: DataBudget }} [options] optional data budget, see `warmUpCacheWithinBudget`
  * @returns {Promise<void>}
  */
-async function warmUpCache(modes) {
+async function warmUpCache(modes, { budget } = {}) {
   const prefetchRequests = cacheConfigStore.getPrefetchRequests(modes);
   const cache = await globalThis.caches.open(env.cacheName);
+
+  if (budget) {
+    await warmUpCacheWithinBudget(prefetchRequests, cache, budget);
+    return;
+  }
+
   const promises = prefetchRequests.map(request =>
-    getResponse(request, cacheTimestampHeader, cacheConfigStore, cache)
+    getResponse(request, cacheTimestampHeader, cacheConfigStore, cache, {
+      isPrefetch: true,
+      onStore: enforceQuotasAfterWrite,
+    })
   );
 
   const results = await Promise.allSettled(promises);
@@ -196,3 +665,229 @@ async function warmUpCache(modes) {
 }
 
 const debouncedWarmUpCache = debounce(warmUpCache, 500);
+
+/**
+ * Evicts entries beyond the `maxEntries` / `maxBytes` quotas of the config, or under storage pressure.
+ *
+ * @returns {Promise<void>}
+ */
+async function enforceQuotas() {
+  if (!env?.cacheName) return;
+
+  const evictedCount = await getApiCacheManager().enforceQuotas(cacheConfigStore);
+
+  if (evictedCount) {
+    logger.info('api-cache-manager', `Evicted ${evictedCount} entries to stay within quotas`);
+  }
+}
+
+const debouncedEnforceQuotas = debounce(enforceQuotas, 1000);
+
+/**
+ * Enforces the storage quotas after a cache write. Debounced, so a burst of writes triggers
+ * a single eviction pass once they are done.
+ *
+ * @returns {Promise<void>} a promise that resolves once the eviction pass has completed
+ */
+function enforceQuotasAfterWrite() {
+  return debouncedEnforceQuotas().catch(error =>
+    logger.error('api-cache-manager', `Failed to enforce storage quotas: ${error}`)
+  );
+}
+
+/**
+ * Deletes cached assets of removed rules, expired or beyond `maxEntries` (see `AssetRule`).
+ *
+ * @returns {Promise<void>}
+ */
+async function enforceAssetRules() {
+  if (!env?.cacheName) return;
+
+  await getAssetCacheManager().enforceRules(
+    cacheConfigStore.current?.assets ?? [],
+    cacheTimestampHeader
+  );
+}
+
+const debouncedEnforceAssetRules = debounce(enforceAssetRules, 1000);
+
+/**
+ * Enforces the asset rules after an asset has been stored. Debounced like
+ * `enforceQuotasAfterWrite`, so cache hits never trigger a pass.
+ *
+ * @returns {Promise<void>} a promise that resolves once the pass has completed
+ */
+function enforceAssetRulesAfterWrite() {
+  return debouncedEnforceAssetRules().catch(error =>
+    logger.error('asset-cache', `Failed to enforce asset rules: ${error}`)
+  );
+}
+
+/**
+ * Prefetches requests one at a time until the budget is spent, deducting the downloaded bytes from it.
+ * Responses served from the cache (which carry the timestamp header) do not count against the budget.
+ * The size is read from `Content-Length`, or from the body if the header is missing.
+ *
+ * @param {Request[]} prefetchRequests the requests to prefetch, in config order
+ * @param {Cache} cache the cache to store the responses in
+ * @param {DataBudget} budget the data budget, shared with the other warm-ups of a background sync
+ * @returns {Promise<void>}
+ */
+async function warmUpCacheWithinBudget(prefetchRequests, cache, budget) {
+  for (const [i, request] of prefetchRequests.entries()) {
+    if (budget.remainingBytes <= 0) {
+      logger.info(
+        'warm-up',
+        `Data budget reached, skipped ${prefetchRequests.length - i} requests`
+      );
+      return;
+    }
+
+    try {
+      const response = await getResponse(request, cacheTimestampHeader, cacheConfigStore, cache, {
+        isPrefetch: true,
+        onStore: enforceQuotasAfterWrite,
+      });
+
+      if (!response.headers.has(cacheTimestampHeader)) {
+        const contentLength = Number(response.headers.get('content-length'));
+        budget.remainingBytes -=
+          Number.isFinite(contentLength) && contentLength > 0
+            ? contentLength
+            : (await response.arrayBuffer()).byteLength;
+      }
+    } catch (error) {
+      logger.warn('warm-up', `Prefetch failed for ${request.url}: ${error}`);
+    }
+  }
+}
+
+/**
+ * Tag shared by the periodic and the one-off background sync registrations.
+ */
+const backgroundSyncTag = 'full-cache-refresh';
+
+/**
+ * Registers for Periodic Background Sync with `backgroundSyncMinIntervalMs`.
+ * Falls back to a one-off `sync` if periodic sync is not supported or not permitted
+ * (browsers usually grant it only to installed apps).
+ *
+ * @returns {Promise<void>}
+ */
+async function registerBackgroundSync() {
+  if (!env?.backgroundSyncMinIntervalMs) return;
+
+  const { periodicSync } = self.registration;
+
+  if (periodicSync) {
+    try {
+      await periodicSync.register(backgroundSyncTag, {
+        minInterval: env.backgroundSyncMinIntervalMs,
+      });
+      logger.info('background-sync', 'Registered periodic background sync');
+      return;
+    } catch (error) {
+      logger.warn('background-sync', `Periodic background sync is not permitted: ${error}`);
+    }
+  }
+
+  await registerOneOffSync();
+}
+
+/**
+ * Registers a one-off `sync`, which the browser fires once the device is online,
+ * if background sync is enabled and periodic sync is not available.
+ *
+ * @returns {Promise<void>}
+ */
+async function registerOneOffSync() {
+  if (!env?.backgroundSyncMinIntervalMs || !self.registration.sync) return;
+
+  try {
+    const periodicTags = (await self.registration.periodicSync?.getTags()) ?? [];
+
+    if (!periodicTags.includes(backgroundSyncTag)) {
+      await self.registration.sync.register(backgroundSyncTag);
+      logger.info('background-sync', 'Registered one-off background sync');
+    }
+  } catch (error) {
+    logger.warn('background-sync', `Failed to register one-off background sync: ${error}`);
+  }
+}
+
+/**
+ * Runs a background sync tick: polls the fallback config URL, sweeps stale entries,
+ * re-warms `'always'` requests within the `backgroundSyncMaxBytes` data budget, and
+ * evicts entries beyond the storage quotas.
+ * Ticks within `backgroundSyncMinIntervalMs` of the previous one are skipped.
+ *
+ * @returns {Promise<void>}
+ */
+async function handleBackgroundSync() {
+  if (!env?.cacheName || !env.backgroundSyncMinIntervalMs) return;
+
+  // Persisted, so the interval holds across worker restarts and `sync` / `periodicsync` firing together
+  const lastBackgroundSyncAt = await loadBackgroundSyncTimestamp();
+
+  if (Date.now() - lastBackgroundSyncAt < env.backgroundSyncMinIntervalMs) {
+    logger.info('background-sync', 'Skipping background sync within the minimum interval');
+    return;
+  }
+
+  // Shared by the warm-ups of a loaded or polled config and the re-warm below
+  /** @type {DataBudget | undefined} */
+  const budget =
+    env.backgroundSyncMaxBytes != null ? { remainingBytes: env.backgroundSyncMaxBytes } : undefined;
+
+  if (!cacheConfigStore.current) {
+    await cacheConfigStore.loadFromCacheIfValid({
+      validationMode: env.configValidation,
+      update: { warmUpBudget: budget, awaitOnSet: true },
+    });
+  }
+
+  await getCacheConfigSyncClient().poll({ warmUpBudget: budget, awaitOnSet: true });
+  await getApiCacheManager().deleteStaleEntries(cacheConfigStore, cacheTimestampHeader);
+  await warmUpCache(['always'], { budget });
+
+  // The periodic quota pass, which also notices storage pressure from other storage of the origin
+  await enforceQuotas();
+
+  await saveBackgroundSyncTimestamp(Date.now());
+  logger.info('background-sync', 'Background sync completed');
+}
+
+/**
+ * Handles Periodic Background Sync ticks, fired by the browser at most every
+ * `backgroundSyncMinIntervalMs` (and usually less often, depending on site engagement).
+ */
+self.addEventListener('periodicsync', event => {
+  if (event.tag === backgroundSyncTag) {
+    const syncPromise = handleBackgroundSync();
+
+    event.waitUntil(syncPromise);
+    event.waitUntil(exportTelemetryAfter(syncPromise));
+  }
+});
+
+/**
+ * Handles one-off `sync` events, fired once connectivity is available:
+ * the background sync fallback, and the replay of queued offline mutations.
+ * A replay that leaves mutations in the queue rejects, so the browser retries the `sync` later.
+ */
+self.addEventListener('sync', event => {
+  if (event.tag === backgroundSyncTag) {
+    const syncPromise = handleBackgroundSync();
+
+    event.waitUntil(syncPromise);
+    event.waitUntil(exportTelemetryAfter(syncPromise));
+  } else if (event.tag === offlineQueueSyncTag) {
+    event.waitUntil(
+      replayOfflineQueue().then(drained => {
+        if (!drained) {
+          throw new Error('Offline queue was not drained, retrying later');
+        }
+      })
+    );
+  }
+});
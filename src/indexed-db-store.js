@@ -0,0 +1,58 @@
+/* global indexedDB */
+/**
+ * Shared access to the single-store IndexedDB databases of the worker
+ * (config, entry index, encryption keys, offline queue).
+ */
+
+/**
+ * Runs requests against an object store in a single transaction and resolves with the result
+ * of the request returned by `run` (if any) once the transaction has completed.
+ *
+ * @template T
+ * @callback WithStore
+ * @param {IDBTransactionMode} mode the transaction mode
+ * @param {(store: IDBObjectStore) => IDBRequest<T> | void} run issues the requests
+ * @returns {Promise<T | undefined>}
+ */
+
+/**
+ * Defines the object store of a database holding a single store, created on first open.
+ *
+ * @param {string} dbName the name of the database
+ * @param {string} storeName the name of the object store
+ * @param {IDBObjectStoreParameters} [storeOptions] the key path and key generator of the store
+ * @returns {WithStore} runs requests against the store
+ */
+export function defineObjectStore(dbName, storeName, storeOptions) {
+  /**
+   * @returns {Promise<IDBDatabase>}
+   */
+  const openDB = () =>
+    new Promise((resolve, reject) => {
+      const request = indexedDB.open(dbName, 1);
+
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, storeOptions);
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+  return async (mode, run) => {
+    const db = await openDB();
+
+    try {
+      return await new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, mode);
+        const request = run(tx.objectStore(storeName));
+
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      });
+    } finally {
+      db.close();
+    }
+  };
+}
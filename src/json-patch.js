@@ -0,0 +1,257 @@
+/**
+ * Minimal, immutable implementation of JSON Patch (RFC 6902) and JSON Pointer (RFC 6901).
+ * Patches never mutate the input document: every object or array along a changed path is copied,
+ * while untouched branches are shared with the original document.
+ */
+
+/**
+ * @typedef {Object} JsonPatchOperation
+ * @property {'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test'} op
+ * @property {string} path a JSON Pointer to the target location
+ * @property {string} [from] a JSON Pointer to the source location (`move` and `copy`)
+ * @property {unknown} [value] the value to add, replace or test
+ */
+
+/**
+ * Parses a JSON Pointer into its unescaped reference tokens.
+ *
+ * @param {string} pointer the JSON Pointer (e.g. `'/hosts/https:~1~1api.example.com'`)
+ * @returns {string[]} the reference tokens
+ * @throws {Error} if the pointer is not empty and does not start with `/`
+ */
+export function parseJsonPointer(pointer) {
+  if (pointer === '') {
+    return [];
+  }
+
+  if (!pointer.startsWith('/')) {
+    throw new Error(`Invalid JSON Pointer: '${pointer}'`);
+  }
+
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Resolves an array index token.
+ *
+ * @param {unknown[]} array the target array
+ * @param {string} token the reference token
+ * @param {boolean} allowEnd whether `-` and `array.length` (append position) are allowed
+ * @returns {number} the index
+ * @throws {Error} if the token is not a valid index for the array
+ */
+function toArrayIndex(array, token, allowEnd) {
+  if (token === '-' && allowEnd) {
+    return array.length;
+  }
+
+  const index = /^(0|[1-9]\d*)$/.test(token) ? Number(token) : NaN;
+  const max = allowEnd ? array.length : array.length - 1;
+
+  if (!(index <= max)) {
+    throw new Error(`Invalid array index '${token}'`);
+  }
+
+  return index;
+}
+
+/**
+ * Reads the value at the given reference tokens.
+ *
+ * @param {unknown} document the document to read from
+ * @param {string[]} tokens the reference tokens
+ * @returns {unknown} the value at the location
+ * @throws {Error} if the location does not exist
+ */
+function getValue(document, tokens) {
+  let value = document;
+
+  for (const token of tokens) {
+    if (Array.isArray(value)) {
+      value = value[toArrayIndex(value, token, false)];
+    } else if (value && typeof value === 'object' && Object.hasOwn(value, token)) {
+      value = value[token];
+    } else {
+      throw new Error(`Path not found: '/${tokens.join('/')}'`);
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Returns a copy of `document` where the parent of the last token was replaced by `update(parent)`.
+ * Every container along the path is shallow-copied.
+ *
+ * @param {unknown} document the document to update
+ * @param {string[]} tokens the reference tokens of the target location (at least one)
+ * @param {(parent: object | unknown[], token: string) => void} update mutates the copied parent
+ * @returns {unknown} the updated document
+ * @throws {Error} if a container along the path does not exist
+ */
+function updateParent(document, tokens, update) {
+  const [token, ...rest] = tokens;
+
+  if (!document || typeof document !== 'object') {
+    throw new Error(`Path not found: '/${tokens.join('/')}'`);
+  }
+
+  const copy = Array.isArray(document) ? [...document] : { ...document };
+
+  if (!rest.length) {
+    update(copy, token);
+    return copy;
+  }
+
+  const child = Array.isArray(copy) ? copy[toArrayIndex(copy, token, false)] : copy[token];
+  copy[token] = updateParent(child, rest, update);
+
+  return copy;
+}
+
+/**
+ * Adds a value at the given location, inserting into arrays and replacing object members.
+ *
+ * @param {unknown} document
+ * @param {string[]} tokens
+ * @param {unknown} value
+ * @returns {unknown} the updated document
+ */
+function addValue(document, tokens, value) {
+  if (!tokens.length) {
+    return value;
+  }
+
+  return updateParent(document, tokens, (parent, token) => {
+    if (Array.isArray(parent)) {
+      parent.splice(toArrayIndex(parent, token, true), 0, value);
+    } else {
+      parent[token] = value;
+    }
+  });
+}
+
+/**
+ * Removes the value at the given location.
+ *
+ * @param {unknown} document
+ * @param {string[]} tokens
+ * @returns {unknown} the updated document
+ * @throws {Error} if the location does not exist
+ */
+function removeValue(document, tokens) {
+  if (!tokens.length) {
+    throw new Error('Cannot remove the document root');
+  }
+
+  return updateParent(document, tokens, (parent, token) => {
+    if (Array.isArray(parent)) {
+      parent.splice(toArrayIndex(parent, token, false), 1);
+    } else if (Object.hasOwn(parent, token)) {
+      delete parent[token];
+    } else {
+      throw new Error(`Path not found: '/${tokens.join('/')}'`);
+    }
+  });
+}
+
+/**
+ * Compares two JSON values structurally, as required by the `test` operation: objects are equal
+ * if they have the same members regardless of their order, and arrays if their items are equal.
+ *
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean} whether the values are equal
+ */
+function isDeepEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') {
+    return false;
+  }
+
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return (
+      Array.isArray(a) &&
+      Array.isArray(b) &&
+      a.length === b.length &&
+      a.every((item, i) => isDeepEqual(item, b[i]))
+    );
+  }
+
+  const keys = Object.keys(a);
+
+  return (
+    keys.length === Object.keys(b).length &&
+    keys.every(key => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]))
+  );
+}
+
+/**
+ * Applies a JSON Patch to a document without mutating it.
+ * Operations are applied in order, and the patch is atomic: if any operation fails,
+ * an error is thrown and no partial result is returned.
+ *
+ * @template T
+ * @param {T} document the document to patch
+ * @param {JsonPatchOperation[]} operations the JSON Patch operations
+ * @returns {T} the patched document
+ * @throws {Error} if the patch is malformed, a location does not exist or a `test` fails
+ */
+export function applyJsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new Error('JSON Patch must be an array of operations');
+  }
+
+  let result = document;
+
+  for (const operation of operations) {
+    const tokens = parseJsonPointer(operation.path);
+
+    switch (operation.op) {
+      case 'add':
+        result = addValue(result, tokens, operation.value);
+        break;
+      case 'remove':
+        result = removeValue(result, tokens);
+        break;
+      case 'replace':
+        getValue(result, tokens);
+        result = addValue(
+          tokens.length ? removeValue(result, tokens) : result,
+          tokens,
+          operation.value
+        );
+        break;
+      case 'move': {
+        const from = parseJsonPointer(operation.from);
+
+        // A location can't be moved into one of its own children
+        if (from.length < tokens.length && from.every((token, i) => token === tokens[i])) {
+          throw new Error(`Cannot move '${operation.from}' into its child '${operation.path}'`);
+        }
+
+        const value = getValue(result, from);
+        result = addValue(removeValue(result, from), tokens, value);
+        break;
+      }
+      case 'copy':
+        result = addValue(result, tokens, getValue(result, parseJsonPointer(operation.from)));
+        break;
+      case 'test':
+        if (!isDeepEqual(getValue(result, tokens), operation.value)) {
+          throw new Error(`Test failed at '${operation.path}'`);
+        }
+        break;
+      default:
+        throw new Error(`Unknown JSON Patch operation: '${operation.op}'`);
+    }
+  }
+
+  return result;
+}
@@ -11,12 +11,21 @@ export const logger = {
 const typesStyle = {
   'utils': 'color: #fc4c9b',
   'get-response': 'color: #fc814c',
+  'strategy': 'color: #fcb84c',
   'polling': 'color: #c7fc4c',
+  'push': 'color: #a0fc4c',
+  'background-sync': 'color: #8afc4c',
   'socket': 'color: #78fc4c',
   'install': 'color: #4cfc61',
   'activate': 'color: #4ccdfc',
+  'precache': 'color: #4cfcf0',
+  'message': 'color: #4c9ffc',
   'warm-up': 'color: #4c58fc',
   'dedup': 'color:rgb(76, 252, 167)',
+  'concurrency': 'color: #4cfcd0',
+  'offline-queue': 'color: #4cb8fc',
+  'telemetry': 'color: #fc4cc4',
+  'asset-cache': 'color: #b04cfc',
   'api-cache-manager': 'color: #874cfc',
   'cache-config-sync-client': 'color: #dc4cfc',
   'cache-config-store': 'color: #fc4c84',
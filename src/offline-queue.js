@@ -0,0 +1,289 @@
+/* global crypto */
+import { logger } from './logger.js';
+import { defineObjectStore } from './indexed-db-store.js';
+
+/**
+ * Offline replay queue for mutations (`POST`, `PUT`, `PATCH`, `DELETE`, ...).
+ * A mutation to an endpoint with `offlineQueue` that fails because the network is unavailable
+ * is persisted to IndexedDB and answered with a synthetic `202 Accepted`. The queue is replayed
+ * in order once connectivity returns, and progress is broadcast to pages on `offlineQueueChannelName`.
+ *
+ * @typedef {import('./cache-config-store.js').CacheSettings} CacheSettings
+ */
+
+/**
+ * @typedef {Object} QueuedMutation
+ * @property {number} [seq] Auto-incremented key defining the replay order
+ * @property {string} id Queue ID returned to the page in the `202` response
+ * @property {string} method
+ * @property {string} url
+ * @property {[string, string][]} headers
+ * @property {ArrayBuffer | null} body Raw request body, `null` if empty
+ * @property {number} attempts Number of failed replay attempts
+ * @property {number} maxRetries Number of failed replay attempts after which the mutation is dropped
+ * @property {number} queuedAt Timestamp (ms since epoch) when the mutation was queued
+ */
+
+/**
+ * Progress event broadcast on `offlineQueueChannelName`.
+ * - `queued`: a mutation was added to the queue
+ * - `replayed`: a mutation was sent successfully (`status` is set)
+ * - `retry`: a replay attempt failed, the queue is retried later
+ * - `failed`: a mutation was dropped after `maxRetries` failed attempts
+ * - `conflict`: the server rejected a mutation with a `4xx` status (`status` and `body` are set)
+ * - `drained`: the queue is empty
+ *
+ * @typedef {Object} OfflineQueueEvent
+ * @property {'queued' | 'replayed' | 'retry' | 'failed' | 'conflict' | 'drained'} type
+ * @property {string} [id]
+ * @property {string} [method]
+ * @property {string} [url]
+ * @property {number} [status]
+ * @property {string} [body]
+ * @property {number} [attempts]
+ * @property {number} remaining Number of mutations left in the queue
+ */
+
+export const offlineQueueChannelName = 'full-cache-offline-queue';
+
+/** Tag of the one-off `sync` registered whenever a mutation is queued */
+export const offlineQueueSyncTag = 'full-cache-offline-queue';
+
+/** Response header carrying the queue ID of a queued mutation */
+export const offlineQueueIdHeader = 'x-offline-queue-id';
+
+const defaultMaxRetries = 5;
+
+const withStore = defineObjectStore('api-offline-queue', 'mutations', {
+  keyPath: 'seq',
+  autoIncrement: true,
+});
+
+const channel = new BroadcastChannel(offlineQueueChannelName);
+
+/** Pending replay, shared by concurrent triggers so the queue is never replayed twice at once */
+let replayPromise = null;
+
+/**
+ * Queue length as of the last read, so mutations sent while the queue is empty don't open IndexedDB.
+ * `null` until first read after the worker starts.
+ * @type {number | null}
+ */
+let knownQueueLength = null;
+
+/**
+ * Returns the oldest queued mutation together with the queue length, read in a single transaction.
+ *
+ * @returns {Promise<{ mutation: QueuedMutation | undefined, remaining: number }>}
+ */
+async function peekQueue() {
+  /** @type {IDBRequest<QueuedMutation[]>} */
+  let oldest;
+  /** @type {IDBRequest<number>} */
+  let count;
+
+  await withStore('readonly', store => {
+    oldest = store.getAll(null, 1);
+    count = store.count();
+  });
+
+  knownQueueLength = count.result;
+  return { mutation: oldest.result[0], remaining: count.result };
+}
+
+/**
+ * Returns the queue length, reading it from IndexedDB only once per worker instance.
+ *
+ * @returns {Promise<number>}
+ */
+async function getQueueLength() {
+  return knownQueueLength ?? (await peekQueue()).remaining;
+}
+
+/**
+ * Broadcasts a progress event to all pages.
+ *
+ * @param {OfflineQueueEvent} event
+ */
+function broadcast(event) {
+  channel.postMessage(event);
+}
+
+/**
+ * Checks whether a request changes server state and may therefore be queued.
+ *
+ * @param {Request} request the request to check
+ * @returns {boolean} `true` for any method other than `GET`, `HEAD` and `OPTIONS`
+ */
+export function isMutation(request) {
+  return !['GET', 'HEAD', 'OPTIONS'].includes(request.method);
+}
+
+/**
+ * Sends a mutation, or queues it if the network is unavailable.
+ * While older mutations are still queued, new ones are queued behind them to preserve the order.
+ *
+ * @param {Request} request the mutation request
+ * @param {CacheSettings} settings the resolved settings of the endpoint
+ * @param {() => Promise<Response>} fetchFromNetwork sends the request
+ * @param {(promise: Promise<unknown>) => void} waitUntil extends the event lifetime for the replay
+ * of the queue the mutation was queued behind
+ * @returns {Promise<Response>} the network response, or a synthetic `202` if the mutation was queued
+ * @throws {Error} if the request was aborted
+ */
+export async function fetchOrEnqueueMutation(request, settings, fetchFromNetwork, waitUntil) {
+  // Read before sending, since the network request consumes the body
+  const body = await request.clone().arrayBuffer();
+
+  if ((await getQueueLength()) > 0) {
+    const response = await enqueueMutation(request, body, settings);
+    waitUntil(
+      replayOfflineQueue().catch(error =>
+        logger.error('offline-queue', `Failed to replay the queue: ${error}`)
+      )
+    );
+    return response;
+  }
+
+  try {
+    return await fetchFromNetwork();
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw error;
+    }
+
+    logger.warn('offline-queue', `Network error for ${request.method} ${request.url}: ${error}`);
+    return enqueueMutation(request, body, settings);
+  }
+}
+
+/**
+ * Persists a mutation and registers a one-off `sync` to replay it.
+ *
+ * @param {Request} request the mutation request
+ * @param {ArrayBuffer} body the raw request body
+ * @param {CacheSettings} settings the resolved settings of the endpoint
+ * @returns {Promise<Response>} a `202 Accepted` response carrying the queue ID
+ */
+async function enqueueMutation(request, body, settings) {
+  const { maxRetries = defaultMaxRetries } =
+    typeof settings.offlineQueue === 'object' ? settings.offlineQueue : {};
+
+  /** @type {QueuedMutation} */
+  const mutation = {
+    id: crypto.randomUUID(),
+    method: request.method,
+    url: request.url,
+    headers: [...request.headers.entries()],
+    body: body.byteLength ? body : null,
+    attempts: 0,
+    maxRetries,
+    queuedAt: Date.now(),
+  };
+
+  await withStore('readwrite', store => store.add(mutation));
+  const { remaining } = await peekQueue();
+
+  logger.info('offline-queue', `Queued ${mutation.method} ${mutation.url} as ${mutation.id}`);
+  broadcast({
+    type: 'queued',
+    id: mutation.id,
+    method: mutation.method,
+    url: mutation.url,
+    remaining,
+  });
+
+  try {
+    await globalThis.registration?.sync?.register(offlineQueueSyncTag);
+  } catch (error) {
+    logger.warn('offline-queue', `Failed to register sync: ${error}`);
+  }
+
+  return new Response(JSON.stringify({ queued: true, queueId: mutation.id }), {
+    status: 202,
+    statusText: 'Accepted',
+    headers: { 'Content-Type': 'application/json', [offlineQueueIdHeader]: mutation.id },
+  });
+}
+
+/**
+ * Replays the queued mutations in order.
+ * - `2xx`/`3xx`: the mutation is removed
+ * - `4xx`: the mutation is removed and a `conflict` event with the response body is broadcast
+ * - network error or `5xx`: the replay stops and is retried later, unless the mutation
+ *   reached `maxRetries` failed attempts, in which case it is dropped with a `failed` event
+ *
+ * Concurrent calls share the same replay.
+ *
+ * @returns {Promise<boolean>} `true` if the queue was drained, `false` if mutations are left for a retry
+ */
+export function replayOfflineQueue() {
+  replayPromise ??= replayQueuedMutations().finally(() => {
+    replayPromise = null;
+  });
+
+  return replayPromise;
+}
+
+/**
+ * @returns {Promise<boolean>}
+ */
+async function replayQueuedMutations() {
+  let { mutation, remaining } = await peekQueue();
+  const hadMutations = !!mutation;
+
+  while (mutation) {
+    const { seq, id, method, url } = mutation;
+    let response;
+
+    try {
+      response = await fetch(url, { method, headers: mutation.headers, body: mutation.body });
+    } catch (error) {
+      logger.warn('offline-queue', `Replay of ${method} ${url} failed: ${error}`);
+    }
+
+    if (response && response.status < 500) {
+      await withStore('readwrite', store => store.delete(seq));
+      remaining--;
+
+      if (response.status >= 400) {
+        logger.warn('offline-queue', `Conflict replaying ${method} ${url}: ${response.status}`);
+        const body = await response.text();
+        broadcast({ type: 'conflict', id, method, url, status: response.status, body, remaining });
+      } else {
+        logger.info('offline-queue', `Replayed ${method} ${url}`);
+        broadcast({ type: 'replayed', id, method, url, status: response.status, remaining });
+      }
+    } else {
+      const attempts = mutation.attempts + 1;
+
+      if (attempts < mutation.maxRetries) {
+        await withStore('readwrite', store => store.put({ ...mutation, attempts }));
+        broadcast({
+          type: 'retry',
+          id,
+          method,
+          url,
+          status: response?.status,
+          attempts,
+          remaining,
+        });
+        return false;
+      }
+
+      await withStore('readwrite', store => store.delete(seq));
+      remaining--;
+
+      logger.error('offline-queue', `Dropped ${method} ${url} after ${attempts} attempts`);
+      broadcast({ type: 'failed', id, method, url, status: response?.status, attempts, remaining });
+    }
+
+    ({ mutation, remaining } = await peekQueue());
+  }
+
+  if (hadMutations) {
+    broadcast({ type: 'drained', remaining: 0 });
+  }
+
+  return true;
+}
@@ -0,0 +1,306 @@
+/* global crypto */
+import { logger } from './logger.js';
+
+/**
+ * An asset to precache, e.g. a file of the app shell.
+ *
+ * @typedef {Object} PrecacheEntry
+ * @property {string} url The URL of the asset, relative to the manifest or absolute
+ * @property {string | null} [revision] Changes whenever the asset changes, e.g. a content hash.
+ * Can be omitted for URLs that already contain one (e.g. `/app.3f9c2a.js`)
+ */
+
+/**
+ * Rebuilds a redirected response, which the browser refuses to serve for navigation requests.
+ *
+ * @param {Response} response the fetched response
+ * @returns {Promise<Response>} the response, no longer marked as redirected
+ */
+async function copyRedirectedResponse(response) {
+  if (!response.redirected) {
+    return response;
+  }
+
+  return new Response(await response.blob(), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
+}
+
+/**
+ * Checks that a parsed manifest is an array of `PrecacheEntry`.
+ *
+ * @param {unknown} manifest the parsed manifest
+ * @returns {manifest is PrecacheEntry[]}
+ */
+function isValidManifest(manifest) {
+  return (
+    Array.isArray(manifest) &&
+    manifest.every(
+      entry =>
+        typeof entry?.url === 'string' &&
+        (entry.revision == null || typeof entry.revision === 'string')
+    )
+  );
+}
+
+/**
+ * Precaches static assets (e.g. the app shell) listed in a manifest, and serves them cache-first.
+ * The assets are stored in a bucket versioned by the manifest, so a worker with a changed manifest
+ * installs into a new bucket while the previous worker keeps serving from the old one. Such a worker
+ * waits for the pages of the previous build to close before activating (see `hasOutdatedBuckets`),
+ * since the old bucket is deleted on `activate`.
+ *
+ * The manifest is a JSON file fetched from its own URL, rather than passed in the worker URL.
+ * It is kept in a cache of its own, so that a restarted worker serves its assets even offline.
+ */
+export class PrecacheManager {
+  /**
+   * Revision of every precached URL, keyed by absolute URL without hash,
+   * resolved once the manifest has been loaded.
+   * @type {Promise<Map<string, string | null>> | null}
+   */
+  #revisions = null;
+
+  /**
+   * Name of the bucket of the current manifest, resolved once the manifest has been hashed.
+   * @type {Promise<string> | null}
+   */
+  #bucketName = null;
+
+  /**
+   * Creates an instance of `PrecacheManager`.
+   *
+   * @param {CacheStorage} caches the `CacheStorage` object used for interacting with browser caches
+   * @param {string} cacheName the name of the API cache, which precache buckets are prefixed with
+   * @param {string | null} [manifestUrl] the absolute URL of the JSON manifest of the assets
+   * to precache. Nothing is precached without one
+   */
+  constructor(caches, cacheName, manifestUrl = null) {
+    this.caches = caches;
+    this.bucketPrefix = `${cacheName}-precache-`;
+    this.manifestCacheName = `${cacheName}-precache-manifests`;
+    this.manifestUrl = manifestUrl;
+  }
+
+  /**
+   * Fetches every asset of the manifest into the bucket of the manifest, during `install`.
+   * The install is atomic: if the manifest or any asset fails to download, the bucket is deleted
+   * and the returned promise rejects, so that the new worker is discarded instead of activating
+   * with missing assets. Assets are fetched bypassing the HTTP cache, so a changed revision is
+   * never served stale.
+   *
+   * @returns {Promise<void>} a promise that resolves once every asset is stored
+   * @throws {Error} if the manifest is invalid, or an asset fails to download or can't be stored
+   */
+  install = async () => {
+    const revisions = await this.#getRevisions();
+    if (!revisions.size) return;
+
+    const bucketName = await this.#getBucketName();
+    const urls = [...revisions.keys()];
+
+    if (await this.caches.has(bucketName)) {
+      const cachedRequests = await (await this.caches.open(bucketName)).keys();
+      const cachedUrls = new Set(cachedRequests.map(request => request.url));
+
+      if (urls.every(url => cachedUrls.has(url))) {
+        logger.info('precache', `Assets already precached in ${bucketName}`);
+        return;
+      }
+    }
+
+    try {
+      // Everything is downloaded before the first write, so a failed download leaves no trace
+      const responses = await Promise.all(
+        urls.map(async url => {
+          const response = await fetch(new Request(url, { cache: 'reload' }));
+
+          if (!response.ok) {
+            throw new Error(`Failed to precache ${url}: status ${response.status}`);
+          }
+
+          return copyRedirectedResponse(response);
+        })
+      );
+
+      const cache = await this.caches.open(bucketName);
+      await Promise.all(urls.map((url, i) => cache.put(url, responses[i])));
+    } catch (error) {
+      await this.caches.delete(bucketName);
+      throw error;
+    }
+
+    logger.info('precache', `Precached ${urls.length} assets in ${bucketName}`);
+  };
+
+  /**
+   * Checks whether buckets of previous manifests exist, i.e. whether the active worker (if any)
+   * serves assets that activating this worker would delete. The worker then doesn't
+   * `skipWaiting()`, so that it only takes over once the pages of the previous build are closed.
+   *
+   * @returns {Promise<boolean>}
+   */
+  hasOutdatedBuckets = async () => {
+    return (await this.#getOutdatedBucketNames()).length > 0;
+  };
+
+  /**
+   * Deletes the buckets and manifests of previous manifests, during `activate`, once no worker
+   * serves from them.
+   *
+   * @returns {Promise<string[]>} the names of the deleted buckets
+   */
+  deleteOutdatedBuckets = async () => {
+    const outdatedBucketNames = await this.#getOutdatedBucketNames();
+
+    await Promise.all(outdatedBucketNames.map(name => this.caches.delete(name)));
+
+    const manifestCache = await this.caches.open(this.manifestCacheName);
+    const outdatedManifests = (await manifestCache.keys()).filter(
+      request => request.url !== this.manifestUrl
+    );
+    await Promise.all(outdatedManifests.map(request => manifestCache.delete(request)));
+
+    if (outdatedBucketNames.length) {
+      logger.info('precache', `Deleted outdated buckets: ${outdatedBucketNames.join(', ')}`);
+    }
+
+    return outdatedBucketNames;
+  };
+
+  /**
+   * Serves a precached asset cache-first. If the browser evicted it, it is fetched again
+   * and stored back.
+   *
+   * @param {Request} request the request
+   * @returns {Promise<Response | null>} the precached or fetched response, or `null` if the request
+   * is not a `GET` of a URL in the manifest
+   */
+  match = async request => {
+    if (request.method !== 'GET' || !this.manifestUrl) {
+      return null;
+    }
+
+    const url = this.#normalizeUrl(new URL(request.url));
+    if (!(await this.#getRevisions()).has(url)) {
+      return null;
+    }
+
+    const cache = await this.caches.open(await this.#getBucketName());
+    const cachedResponse = await cache.match(url);
+
+    if (cachedResponse) {
+      return cachedResponse;
+    }
+
+    logger.warn('precache', `Precached asset missing, fetching it again: ${url}`);
+
+    const response = await copyRedirectedResponse(
+      await fetch(new Request(url, { cache: 'reload' }))
+    );
+
+    if (response.ok) {
+      await cache.put(url, response.clone());
+    }
+
+    return response;
+  };
+
+  /**
+   * @returns {Promise<string[]>} the names of the buckets of previous manifests
+   */
+  #getOutdatedBucketNames = async () => {
+    const bucketName = (await this.#getRevisions()).size ? await this.#getBucketName() : null;
+
+    return (await this.caches.keys()).filter(
+      name =>
+        name.startsWith(this.bucketPrefix) && name !== bucketName && name !== this.manifestCacheName
+    );
+  };
+
+  /**
+   * Returns the revision of every URL of the manifest. The manifest is read from its cache, or
+   * fetched (bypassing the HTTP cache) and stored there, so it is only downloaded once per URL.
+   * A failed load is retried by the next call.
+   *
+   * @returns {Promise<Map<string, string | null>>}
+   * @throws {Error} if the manifest fails to download or is invalid
+   */
+  #getRevisions = () => {
+    this.#revisions ??= (async () => {
+      if (!this.manifestUrl) return new Map();
+
+      const cache = await this.caches.open(this.manifestCacheName);
+      const cachedResponse = await cache.match(this.manifestUrl);
+      const response =
+        cachedResponse ?? (await fetch(new Request(this.manifestUrl, { cache: 'reload' })));
+
+      if (!response.ok) {
+        throw new Error(
+          `Failed to fetch the precache manifest ${this.manifestUrl}: status ${response.status}`
+        );
+      }
+
+      const manifest = await response.clone().json();
+
+      if (!isValidManifest(manifest)) {
+        throw new Error(
+          `Invalid precache manifest ${this.manifestUrl}: expected an array of \`{ url: string, revision?: string }\``
+        );
+      }
+
+      if (!cachedResponse) {
+        await cache.put(this.manifestUrl, response);
+      }
+
+      return new Map(
+        manifest.map(({ url, revision }) => [
+          this.#normalizeUrl(new URL(url, this.manifestUrl)),
+          revision ?? null,
+        ])
+      );
+    })();
+
+    this.#revisions.catch(() => {
+      this.#revisions = null;
+    });
+
+    return this.#revisions;
+  };
+
+  /**
+   * Returns the name of the bucket of the current manifest. The version is derived from
+   * the URLs and revisions, so any change to the manifest yields a new bucket.
+   *
+   * @returns {Promise<string>}
+   */
+  #getBucketName = () => {
+    this.#bucketName ??= (async () => {
+      const revisions = await this.#getRevisions();
+      const manifest = JSON.stringify([...revisions].sort(([a], [b]) => (a < b ? -1 : 1)));
+      const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(manifest));
+      const version = [...new Uint8Array(digest).slice(0, 8)]
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+
+      return `${this.bucketPrefix}${version}`;
+    })();
+
+    this.#bucketName.catch(() => {
+      this.#bucketName = null;
+    });
+
+    return this.#bucketName;
+  };
+
+  /**
+   * @param {URL} url
+   * @returns {string} the URL without its hash
+   */
+  #normalizeUrl = url => {
+    url.hash = '';
+    return url.href;
+  };
+}
@@ -1,43 +1,264 @@
 /**
- * Serializes a `Response` object into a plain transferable object,
- * allowing it to be sent across tabs via `BroadcastChannel` or `postMessage`.
+ * Serializes `Response` objects into plain structured-cloneable objects and back,
+ * allowing them to be sent across tabs via `BroadcastChannel` or `postMessage`.
+ *
+ * Bodies are carried as raw bytes, so binary content (images, protobuf, PDFs) survives intact.
+ * Small bodies of known length are sent inline as an `ArrayBuffer`. Larger or streaming bodies
+ * are announced with a stream ID and then sent as a sequence of chunk messages on the same channel
+ * (see `postBodyChunks`), one chunk per `body-pull` message of a receiver, so neither side
+ * has to buffer them in full.
+ */
+
+/**
+ * @typedef {{ kind: 'none' } | { kind: 'inline', buffer: ArrayBuffer } | { kind: 'stream', streamId: string }} SerializedBody
+ */
+
+/**
+ * @typedef {Object} SerializedResponse
+ * @property {SerializedBody} body
+ * @property {number} status
+ * @property {string} statusText
+ * @property {[string, string][]} headers
+ * @property {ResponseType} type
+ * @property {string} url
+ * @property {boolean} redirected
+ */
+
+/**
+ * @typedef {Object} SerializationResult
+ * @property {SerializedResponse} data The serialized response
+ * @property {ReadableStream<Uint8Array> | null} bodyStream For `stream` bodies, the body to send
+ * with `postBodyChunks` right after `data`
+ */
+
+/** Bodies of known length up to this size are sent inline */
+export const maxInlineBodyBytes = 1024 * 1024;
+
+/** Time in milliseconds a receiver waits for a chunk it pulled, and a sender for the next pull */
+const chunkTimeoutMs = 30_000;
+
+/** Time in milliseconds a sender waits for a first pull before dropping a body nobody receives */
+const firstPullTimeoutMs = 1000;
+
+/**
+ * Serializes a `Response` object into a plain structured-cloneable object.
+ * The given response is left untouched (its clone is read).
  *
  * @param {Response} response The `Response` object to serialize
- * @returns {Promise<{
- *   body: string,
- *   status: number,
- *   statusText: string,
- *   headers: [string, string][]
- * }>} A promise that resolves to a plain object containing all serializable parts of the response
- */
-export async function serializeResponse(response) {
+ * @param {{ maxInlineBytes?: number }} [options] Bodies of known length up to `maxInlineBytes`
+ * are sent inline, others as a stream. Defaults to `maxInlineBodyBytes`
+ * @returns {Promise<SerializationResult>} A promise that resolves to the serialized response
+ */
+export async function serializeResponse(response, { maxInlineBytes = maxInlineBodyBytes } = {}) {
   const cloned = response.clone();
-  const body = await cloned.text();
-  const headers = [...cloned.headers.entries()];
+  const contentLength = Number(cloned.headers.get('content-length') ?? NaN);
 
-  return {
-    body,
+  /** @type {SerializedResponse} */
+  const data = {
+    body: { kind: 'none' },
     status: cloned.status,
     statusText: cloned.statusText,
-    headers,
+    headers: [...cloned.headers.entries()],
+    type: cloned.type,
+    url: cloned.url,
+    redirected: cloned.redirected,
+  };
+
+  if (!cloned.body) {
+    return { data, bodyStream: null };
+  }
+
+  if (Number.isFinite(contentLength) && contentLength <= maxInlineBytes) {
+    data.body = { kind: 'inline', buffer: await cloned.arrayBuffer() };
+
+    return { data, bodyStream: null };
+  }
+
+  data.body = { kind: 'stream', streamId: `${Date.now()}-${Math.random()}` };
+
+  return { data, bodyStream: cloned.body };
+}
+
+/**
+ * Listens for the `body-pull` messages of the receivers of a stream.
+ *
+ * @param {BroadcastChannel | MessagePort} channel the channel the stream is sent on
+ * @param {string} streamId the `streamId` of the serialized body
+ * @returns {{ next: (timeoutMs: number) => Promise<boolean>, stop: () => void }} `next` resolves
+ * with `true` once a receiver has pulled since the previous call, or `false` after `timeoutMs`
+ */
+function listenForPulls(channel, streamId) {
+  let pulled = false;
+  let wake = null;
+
+  const onMessage = event => {
+    const { type, streamId: id } = event.data ?? {};
+    if (type !== 'body-pull' || id !== streamId) return;
+
+    pulled = true;
+    wake?.();
+  };
+
+  channel.addEventListener('message', onMessage);
+
+  return {
+    next: timeoutMs =>
+      new Promise(resolve => {
+        const timeoutId = setTimeout(() => {
+          wake = null;
+          resolve(false);
+        }, timeoutMs);
+
+        wake = () => {
+          clearTimeout(timeoutId);
+          wake = null;
+          pulled = false;
+          resolve(true);
+        };
+
+        if (pulled) wake();
+      }),
+    stop: () => channel.removeEventListener('message', onMessage),
   };
 }
 
+/**
+ * Sends a streaming body as chunk messages on a channel, in order:
+ * `body-chunk` messages with a `chunk` (`Uint8Array`), then `body-end`,
+ * or `body-error` if reading the body fails or the receivers stop pulling.
+ *
+ * A chunk is only read and sent once a receiver pulled it (see `receiveBodyChunks`),
+ * so a slow receiver slows down the sender instead of piling up messages. The body is cancelled
+ * without being read if no receiver pulls within `firstPullTimeoutMs`.
+ *
+ * @param {BroadcastChannel | MessagePort} channel the channel the serialized response was sent on
+ * @param {string} streamId the `streamId` of the serialized body
+ * @param {ReadableStream<Uint8Array>} bodyStream the `bodyStream` returned by `serializeResponse`
+ * @returns {Promise<void>} a promise that resolves once the whole body has been sent or dropped
+ */
+export async function postBodyChunks(channel, streamId, bodyStream) {
+  const reader = bodyStream.getReader();
+  const pulls = listenForPulls(channel, streamId);
+
+  try {
+    // Not awaited: cancelling a clone's body only settles once the original body is done too
+    if (!(await pulls.next(firstPullTimeoutMs))) {
+      reader.cancel().catch(() => {});
+      return;
+    }
+
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      channel.postMessage({ type: 'body-chunk', streamId, chunk: value });
+
+      if (!(await pulls.next(chunkTimeoutMs))) {
+        throw new Error(`Timeout: stream '${streamId}' is no longer pulled`);
+      }
+    }
+
+    channel.postMessage({ type: 'body-end', streamId });
+  } catch (error) {
+    channel.postMessage({ type: 'body-error', streamId, message: String(error) });
+    reader.cancel(error).catch(() => {});
+  } finally {
+    pulls.stop();
+    reader.releaseLock();
+  }
+}
+
+/**
+ * Creates a stream fed by the chunk messages of `postBodyChunks`, pulling each chunk
+ * with a `body-pull` message as the stream's consumer reads.
+ * Must be called synchronously when the serialized response is received,
+ * so no chunk message is missed.
+ *
+ * @param {BroadcastChannel | MessagePort} channel the channel the chunks are sent on
+ * @param {string} streamId the `streamId` of the serialized body
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function receiveBodyChunks(channel, streamId) {
+  let timeoutId;
+  let onMessage;
+
+  const stop = () => {
+    clearTimeout(timeoutId);
+    channel.removeEventListener('message', onMessage);
+  };
+
+  const fail = (controller, error) => {
+    stop();
+    controller.error(error);
+  };
+
+  return new ReadableStream({
+    start(controller) {
+      onMessage = event => {
+        const { type, streamId: id, chunk, message } = event.data ?? {};
+        if (id !== streamId) return;
+
+        if (type === 'body-chunk') {
+          // Cleared first: enqueueing may pull the next chunk right away
+          clearTimeout(timeoutId);
+          controller.enqueue(chunk);
+        } else if (type === 'body-end') {
+          stop();
+          controller.close();
+        } else if (type === 'body-error') {
+          fail(controller, new Error(message));
+        }
+      };
+
+      channel.addEventListener('message', onMessage);
+    },
+    pull(controller) {
+      channel.postMessage({ type: 'body-pull', streamId });
+
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(
+        () => fail(controller, new Error(`Timeout: no chunk received for stream '${streamId}'`)),
+        chunkTimeoutMs
+      );
+    },
+    cancel() {
+      stop();
+    },
+  });
+}
+
 /**
  * Reconstructs a `Response` object from a plain object that was previously serialized.
- * Useful for receiving responses across tabs or threads.
+ * The `Response` constructor can't set `type`, `url` and `redirected`, so they are defined
+ * on the instance, for callers that check where a shared response came from.
  *
- * @param {{
- *   body: string,
- *   status: number,
- *   statusText: string,
- *   headers: [string, string][]
- * }} data The serialized response object
+ * @param {SerializedResponse} data The serialized response object
+ * @param {BroadcastChannel | MessagePort} [channel] The channel `stream` bodies are sent on
  * @returns {Response} A new `Response` instance based on the provided data
+ * @throws {Error} if the body is a `stream` and no channel is given
  */
-export function deserializeResponse(data) {
-  const clonedData = data instanceof Response && data.bodyUsed ? data.clone() : data;
-  const { body, status, statusText, headers } = clonedData;
+export function deserializeResponse(data, channel) {
+  const { body, status, statusText, headers, type, url, redirected } = data;
+
+  let responseBody = null;
+
+  if (body?.kind === 'inline') {
+    responseBody = body.buffer;
+  } else if (body?.kind === 'stream') {
+    if (!channel) {
+      throw new Error('A channel is required to receive a streaming body');
+    }
+
+    responseBody = receiveBodyChunks(channel, body.streamId);
+  }
+
+  const response = new Response(responseBody, { status, statusText, headers });
+
+  Object.defineProperties(response, {
+    type: { value: type ?? 'default' },
+    url: { value: url ?? '' },
+    redirected: { value: !!redirected },
+  });
 
-  return new Response(body, { status, statusText, headers });
+  return response;
 }
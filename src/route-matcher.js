@@ -0,0 +1,228 @@
+/**
+ * Matches request pathnames against the endpoint patterns of a host config.
+ *
+ * Supported pattern segments:
+ * - `users` – a literal segment
+ * - `:id` – a named parameter matching exactly one segment
+ * - `:id?` – an optional named parameter (only allowed in trailing positions)
+ * - `*` – any single segment
+ * - `**` – any number of segments, including none
+ *
+ * Leading and trailing slashes are ignored, so `'/users'` and `'users'` are equivalent.
+ */
+
+/**
+ * @typedef {Object} CompiledRoute
+ * @property {string} pattern the endpoint pattern as written in the config
+ * @property {RegExp} regex the regular expression matching normalized pathnames
+ * @property {string[]} paramNames the names of the `:param` segments, in order
+ * @property {number[]} ranks the specificity rank of each segment, used for sorting
+ */
+
+/**
+ * @typedef {Object} RouteMatch
+ * @property {string} pattern the matched endpoint pattern as written in the config
+ * @property {Record<string, string>} params the decoded values of the `:param` segments
+ */
+
+/**
+ * Specificity ranks per segment type. Higher ranks win when several patterns match.
+ * `end` ranks the end of a shorter pattern against the segments of a longer one: a pattern
+ * ending there is more specific than an optional or `**` tail, which would match zero segments.
+ */
+const segmentRanks = {
+  literal: 6,
+  param: 5,
+  wildcard: 4,
+  end: 3,
+  optionalParam: 2,
+  globstar: 1,
+};
+
+/**
+ * Removes leading and trailing slashes, mirroring `getNormalizedPathname`.
+ *
+ * @param {string} path the path or pattern to normalize
+ * @returns {string} the path without leading or trailing slashes
+ */
+export function normalizePath(path) {
+  return path.replace(/^\/+|\/+$/g, '');
+}
+
+/**
+ * Checks whether a pattern has any non-literal segment, i.e. it can't be turned into a concrete URL.
+ *
+ * @param {string} pattern the endpoint pattern
+ * @returns {boolean} `true` if the pattern contains parameters or wildcards
+ */
+export function isDynamicPattern(pattern) {
+  return normalizePath(pattern)
+    .split('/')
+    .some(segment => segment.startsWith(':') || segment === '*' || segment === '**');
+}
+
+/**
+ * Escapes a literal segment for use inside a regular expression.
+ *
+ * @param {string} segment
+ * @returns {string}
+ */
+export function escapeRegex(segment) {
+  return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Decodes a URI component, keeping the raw value if it is malformed.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+function safeDecode(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Compiles a single endpoint pattern.
+ *
+ * @param {string} pattern the endpoint pattern (e.g. `'/users/:id'`)
+ * @returns {CompiledRoute} the compiled route
+ * @throws {Error} if an optional parameter is followed by a required segment
+ */
+export function compileRoutePattern(pattern) {
+  const segments = normalizePath(pattern).split('/').filter(Boolean);
+  const paramNames = [];
+  const ranks = [];
+  let source = '';
+  let hasOptional = false;
+
+  for (const segment of segments) {
+    if (segment === '**') {
+      // Zero or more segments, each with its own leading slash
+      source += '(?:/[^/]+)*';
+      ranks.push(segmentRanks.globstar);
+    } else if (segment === '*') {
+      source += '/[^/]+';
+      ranks.push(segmentRanks.wildcard);
+    } else if (segment.startsWith(':') && segment.endsWith('?')) {
+      paramNames.push(segment.slice(1, -1));
+      source += '(?:/([^/]+))?';
+      ranks.push(segmentRanks.optionalParam);
+      hasOptional = true;
+      continue;
+    } else if (segment.startsWith(':')) {
+      paramNames.push(segment.slice(1));
+      source += '/([^/]+)';
+      ranks.push(segmentRanks.param);
+    } else {
+      source += `/${escapeRegex(segment)}`;
+      ranks.push(segmentRanks.literal);
+    }
+
+    if (hasOptional) {
+      throw new Error(`Optional segments must be trailing in endpoint pattern '${pattern}'`);
+    }
+  }
+
+  return {
+    pattern,
+    regex: new RegExp(`^${source}$`),
+    paramNames,
+    ranks,
+  };
+}
+
+/**
+ * Substitutes known parameter values into an endpoint pattern.
+ * Parameters without a value are kept, so the result still matches any value for them.
+ *
+ * @param {string} pattern the endpoint pattern (e.g. `'/users/:id'`)
+ * @param {Record<string, string>} params the parameter values (e.g. from a `RouteMatch`)
+ * @returns {string} the pattern with the known parameters filled in (e.g. `'/users/42'`)
+ */
+export function fillRoutePattern(pattern, params) {
+  return pattern
+    .split('/')
+    .map(segment => {
+      const name = segment.startsWith(':') ? segment.slice(1).replace(/\?$/, '') : undefined;
+      return name !== undefined && params[name] !== undefined
+        ? encodeURIComponent(params[name])
+        : segment;
+    })
+    .join('/');
+}
+
+/**
+ * Orders routes from most to least specific: segment ranks are compared left to right, where
+ * the end of the shorter pattern ranks as `end`, then the pattern text breaks any remaining tie.
+ * So `/users` wins over `/users/:id?` and `/users/**`, but loses to `/users/:id` for `/users/42`.
+ *
+ * @param {CompiledRoute} a
+ * @param {CompiledRoute} b
+ * @returns {number}
+ */
+function compareSpecificity(a, b) {
+  const length = Math.max(a.ranks.length, b.ranks.length);
+
+  for (let i = 0; i < length; i++) {
+    const rankA = a.ranks[i] ?? segmentRanks.end;
+    const rankB = b.ranks[i] ?? segmentRanks.end;
+
+    if (rankA !== rankB) {
+      return rankB - rankA;
+    }
+  }
+
+  return a.pattern < b.pattern ? -1 : a.pattern > b.pattern ? 1 : 0;
+}
+
+/**
+ * Compiles all endpoint patterns of a host, sorted from most to least specific.
+ * Invalid patterns are skipped and reported through `onInvalidPattern`.
+ *
+ * @param {string[]} patterns the endpoint patterns
+ * @param {(pattern: string, error: Error) => void} [onInvalidPattern]
+ * @returns {CompiledRoute[]} the compiled routes
+ */
+export function compileRoutes(patterns, onInvalidPattern) {
+  const routes = [];
+
+  for (const pattern of patterns) {
+    try {
+      routes.push(compileRoutePattern(pattern));
+    } catch (error) {
+      onInvalidPattern?.(pattern, error);
+    }
+  }
+
+  return routes.sort(compareSpecificity);
+}
+
+/**
+ * Finds the most specific route matching a normalized pathname.
+ *
+ * @param {CompiledRoute[]} routes the routes compiled by `compileRoutes`
+ * @param {string} pathname the pathname without leading or trailing slashes
+ * @returns {RouteMatch | undefined} the best match, or `undefined` if no route matches
+ */
+export function matchRoute(routes, pathname) {
+  const path = pathname ? `/${pathname}` : '';
+
+  for (const route of routes) {
+    const match = route.regex.exec(path);
+    if (!match) continue;
+
+    const params = {};
+    route.paramNames.forEach((name, i) => {
+      const value = match[i + 1];
+      if (value !== undefined) {
+        params[name] = safeDecode(value);
+      }
+    });
+
+    return { pattern: route.pattern, params };
+  }
+}
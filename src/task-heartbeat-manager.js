@@ -65,7 +65,7 @@ export function startHeartbeat(key) {
 }
 
 /**
- * Stops broadcasting heartbeat messages for a given key.
+ * Stops broadcasting heartbeat messages for a given key and forgets its last heartbeat.
  * Also informs other tabs that this task has ended.
  *
  * @param {string} key Task key whose heartbeat should stop
@@ -75,6 +75,7 @@ export function endHeartbeat(key) {
   if (id != null) {
     clearInterval(id);
     intervals.delete(key);
+    heartbeats.delete(key);
     channel.postMessage({ type: 'task-end', key });
   }
 }
@@ -91,6 +92,21 @@ export function isOwnerAlive(key) {
   return !!entry && Date.now() - entry.timestamp < heartbeatIntervalMs * 2;
 }
 
+/**
+ * Returns the last heartbeat of every task known to this tab, its own and other tabs'.
+ *
+ * @returns {(HeartbeatInfo & { key: string, isOwn: boolean, isAlive: boolean })[]}
+ */
+export function getHeartbeats() {
+  return [...heartbeats].map(([key, { timestamp, ownerId }]) => ({
+    key,
+    timestamp,
+    ownerId,
+    isOwn: ownerId === tabId,
+    isAlive: isOwnerAlive(key),
+  }));
+}
+
 /**
  * Disposes the heartbeat manager:
  * - Stops all heartbeats running in this tab
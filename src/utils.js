@@ -1,9 +1,55 @@
 import { logger } from './logger.js';
-import { getDedupedResponse } from './dedup-response-manager.js';
+import {
+  getDedupedResponse,
+  getDebouncedResponse,
+  supersedePreviousRequest,
+  getReplacementResponse,
+  isRequestPending,
+} from './dedup-response-manager.js';
+import { strategies, defaultStrategy } from './cache-strategies.js';
+import { evaluateFreshness } from './cache-freshness.js';
+import { runWithConcurrencyLimit } from './concurrency-limiter.js';
+import { isMutation, fetchOrEnqueueMutation } from './offline-queue.js';
+import { recordEntryWrite, recordEntryAccess } from './cache-entry-index.js';
+import {
+  encryptResponse,
+  decryptResponse,
+  isEncryptedResponse,
+  hashKeyValue,
+} from './cache-encryption.js';
+import { recordCacheEvent } from './cache-telemetry.js';
+import {
+  resolveKeySettings,
+  normalizeQueryParams,
+  normalizeJsonBody,
+  normalizeFormBody,
+} from './cache-key-normalizer.js';
+import {
+  graphqlSearchParams,
+  readGraphQLOperation,
+  parseGraphQLPayload,
+  parseGraphQLSearchParams,
+  toGraphQLPayload,
+  toGraphQLSearchParams,
+  hasGraphQLErrors,
+} from './graphql-request-parser.js';
 
 /**
  * @typedef {import('./cache-config-store.js').CacheConfig} CacheConfig
+ * @typedef {import('./cache-config-store.js').CacheSettings} CacheSettings
+ * @typedef {import('./cache-config-store.js').CacheKeySettings} CacheKeySettings
  * @typedef {import('./cache-config-store.js').CacheConfigStore} CacheConfigController
+ * @typedef {import('./cache-strategies.js').CacheMatch} CacheMatch
+ * @typedef {import('./graphql-request-parser.js').GraphQLOperation} GraphQLOperation
+ */
+
+/**
+ * The resource a request targets, as reported in telemetry.
+ *
+ * @typedef {Object} RequestResource
+ * @property {string} host the origin of the request
+ * @property {string} endpoint the matched endpoint pattern, or the request path if none matched
+ * @property {string} method the uppercase method
  */
 
 /**
@@ -17,50 +63,39 @@ export function getNormalizedPathname(url) {
 }
 
 /**
- * Reads the body of a given `Request` and returns it as a sorted string.
+ * Reads the body of a given `Request` and returns it as a normalized string.
  *
- * - For `application/json`, the keys are sorted alphabetically.
- * - For `application/x-www-form-urlencoded`, parameters are sorted alphabetically.
+ * - For `application/json`, the body is normalized according to the body-related `key` options.
+ * - For `application/x-www-form-urlencoded`, the parameters are normalized the same way.
  * - For other content types, the body is returned as-is.
- * - For HTTP methods that don't support a body (e.g. `GET`, `HEAD`), an empty string is returned.
+ * - For HTTP methods that don't support a body (e.g. `GET`, `HEAD`), or when `includeRequestBody`
+ *   is disabled, an empty string is returned.
  *
  * @param {Request} request the `Request` object to read the body from
- * @returns {Promise<string>} a promise that resolves to the sorted body string
- * @throws {Error} if the JSON body cannot be parsed
+ * @param {Required<CacheKeySettings>} keySettings the complete `key` options
+ * @returns {Promise<string>} a promise that resolves to the normalized body string
  */
-async function serializeRequestBodyForKey(request) {
+async function serializeRequestBodyForKey(request, keySettings) {
   const methodsWithoutBody = ['GET', 'HEAD'];
 
-  if (methodsWithoutBody.includes(request.method)) {
+  if (methodsWithoutBody.includes(request.method) || !keySettings.includeRequestBody) {
     return '';
   }
 
   const clonedRequest = request.clone();
   const contentType = clonedRequest.headers.get('content-type') || '';
+  const bodyAsText = await clonedRequest.text();
 
   if (contentType.includes('application/json')) {
     try {
-      const bodyAsJson = await clonedRequest.json();
-      if (bodyAsJson && typeof bodyAsJson === 'object') {
-        const sortedBody = Object.keys(bodyAsJson)
-          .sort()
-          .reduce((acc, key) => {
-            acc[key] = bodyAsJson[key];
-            return acc;
-          }, {});
-        return JSON.stringify(sortedBody);
-      }
+      return normalizeJsonBody(JSON.parse(bodyAsText), keySettings);
     } catch (error) {
       logger.error('utils', `Failed to parse JSON body: ${error}`);
     }
   }
 
-  const bodyAsText = await clonedRequest.text();
-
   if (contentType.includes('application/x-www-form-urlencoded')) {
-    const params = new URLSearchParams(bodyAsText);
-    params.sort();
-    return params.toString();
+    return normalizeFormBody(bodyAsText, keySettings);
   }
 
   return bodyAsText;
@@ -71,136 +106,808 @@ async function serializeRequestBodyForKey(request) {
  */
 const keySearchParamPrefix = '__';
 
+/**
+ * Header of cache key requests holding the URL of the original request, since the key URL
+ * only holds its normalized query (e.g. with lowercased or dropped params).
+ */
+const originalUrlHeader = 'x-full-cache-original-url';
+
 /**
  * Creates a unique cache key for a given `Request` by normalizing the URL and
  * appending additional parameters based on the request body, method, and selected headers.
  *
- * This ensures that requests differing in body or specific headers are cached separately.
+ * This ensures that requests differing in body or specific headers are cached separately,
+ * while requests that only differ in ways ignored by the `key` options share an entry.
+ *
+ * GraphQL operations (`settings.graphqlOperation`) are keyed by their canonical payload instead:
+ * the normalized query (or persisted query hash) and the variables with sorted keys. It is the body
+ * of other methods, and replaces the GraphQL search params of `GET` requests, so that the reverted
+ * request is still a valid GraphQL request.
+ *
+ * Keys of `encrypt` endpoints hold hashes of the body and key headers (see `hashKeyValue`), plus
+ * the operation name and persisted query hash of GraphQL requests, and none of the request headers.
  *
  * @param {Request} request the `Request` object for which the cache key should be created
- * @param {string[]} keyHeaders the list of headers to include in the cache key
+ * @param {CacheSettings} settings the resolved settings providing `keyHeaders` and `key` options
  * @returns {Promise<Request>} a promise that resolves to a new `Request` with a modified URL
  * @throws {Error} if an error occurs while reading the body or processing headers
  */
-async function buildCacheKeyRequest(request, keyHeaders) {
+async function buildCacheKeyRequest(
+  request,
+  { keyHeaders = [], key, graphqlOperation, encrypt } = {}
+) {
+  const keySettings = resolveKeySettings(key);
   const clonedUrl = new URL(request.url);
   clonedUrl.pathname = getNormalizedPathname(clonedUrl);
-  const body = await serializeRequestBodyForKey(request);
-  clonedUrl.searchParams.set(`${keySearchParamPrefix}body`, body || 'none');
-  clonedUrl.searchParams.set(`${keySearchParamPrefix}method`, request.method);
 
-  for (const keyHeader of keyHeaders) {
-    const headerValue = request.headers.get(keyHeader);
-    clonedUrl.searchParams.set(`${keySearchParamPrefix}header-${keyHeader}`, headerValue || 'none');
+  let queryParams;
+  let body;
+
+  if (graphqlOperation) {
+    const isGet = request.method === 'GET';
+
+    for (const name of graphqlSearchParams) {
+      clonedUrl.searchParams.delete(name);
+    }
+
+    queryParams = [
+      ...normalizeQueryParams(clonedUrl.searchParams, keySettings),
+      ...(isGet ? toGraphQLSearchParams(graphqlOperation) : []),
+    ];
+    body = isGet ? '' : JSON.stringify(toGraphQLPayload(graphqlOperation));
+  } else {
+    queryParams = normalizeQueryParams(clonedUrl.searchParams, keySettings);
+    body = await serializeRequestBodyForKey(request, keySettings);
   }
+  const toKeyValue = async value => (!value ? 'none' : encrypt ? hashKeyValue(value) : value);
+
+  const keyParams = [
+    [`${keySearchParamPrefix}body`, await toKeyValue(body)],
+    [`${keySearchParamPrefix}method`, request.method],
+    ...(await Promise.all(
+      keyHeaders.map(async keyHeader => [
+        `${keySearchParamPrefix}header-${keyHeader}`,
+        await toKeyValue(request.headers.get(keyHeader)),
+      ])
+    )),
+    // The hashed payload no longer tells which operation an entry belongs to
+    ...(encrypt && graphqlOperation?.operationName && request.method !== 'GET'
+      ? [[`${keySearchParamPrefix}operation`, graphqlOperation.operationName]]
+      : []),
+    ...(encrypt && graphqlOperation?.persistedQueryHash && request.method !== 'GET'
+      ? [[`${keySearchParamPrefix}query-hash`, graphqlOperation.persistedQueryHash]]
+      : []),
+  ].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
 
-  clonedUrl.searchParams.sort();
+  clonedUrl.search = new URLSearchParams([...queryParams, ...keyParams]).toString();
 
-  return new Request(clonedUrl, { headers: request.headers });
+  // Request headers (e.g. `Authorization`) of encrypted entries are not kept in plaintext
+  const headers = encrypt ? new Headers() : new Headers(request.headers);
+  headers.set(originalUrlHeader, request.url);
+
+  return new Request(clonedUrl, { headers });
 }
 
 /**
- * Reverts a cache key `Request` back to its original form by removing the
- * added fake URL parameters (those with the prefix).
+ * Reverts a cache key `Request` back to its original form: the original URL recorded
+ * by `buildCacheKeyRequest` and the original method. Keys without a recorded URL (e.g. rebuilt
+ * from their URL alone) fall back to the key URL without the added fake parameters
+ * (those with the prefix), whose query may be normalized.
  *
  * @param {Request} request the `Request` object with the modified URL
- * @returns {Request} a new `Request` object with the original URL restored
+ * @returns {Request} a new `Request` object with the original URL and method restored
  */
 export function revertCacheKeyRequest(request) {
   const clonedUrl = new URL(request.url);
+  const method = clonedUrl.searchParams.get(`${keySearchParamPrefix}method`) || request.method;
+  const originalUrl = request.headers.get(originalUrlHeader);
 
-  // Remove all search parameters with the prefix
-  for (const key of clonedUrl.searchParams.keys()) {
+  // Remove all search parameters with the prefix (over a copy, deleting disturbs iteration)
+  for (const key of [...clonedUrl.searchParams.keys()]) {
     if (key.startsWith(keySearchParamPrefix)) {
       clonedUrl.searchParams.delete(key);
     }
   }
 
-  return new Request(clonedUrl, { headers: request.headers, method: request.method });
+  const headers = new Headers(request.headers);
+  headers.delete(originalUrlHeader);
+
+  return new Request(originalUrl ?? clonedUrl, { headers, method });
+}
+
+/**
+ * Decodes the params added to a cache key URL by `buildCacheKeyRequest`, without their prefix.
+ *
+ * @param {Request} request the `Request` object with the modified URL
+ * @returns {Record<string, string>} the params, e.g. `{ body: 'none', method: 'GET' }`
+ */
+export function getCacheKeyParams(request) {
+  const params = {};
+
+  for (const [name, value] of new URL(request.url).searchParams) {
+    if (name.startsWith(keySearchParamPrefix)) {
+      params[name.slice(keySearchParamPrefix.length)] = value;
+    }
+  }
+
+  return params;
+}
+
+/**
+ * Replaces the values of the key headers in a cache key URL with their hash (see `hashKeyValue`),
+ * so that keys can be listed without exposing credentials such as bearer tokens.
+ * Keys of `encrypt` endpoints already hold hashes and are returned as they are.
+ *
+ * @param {string} url the cache key URL
+ * @returns {Promise<string>} the redacted URL
+ */
+export async function redactCacheKeyUrl(url) {
+  const redactedUrl = new URL(url);
+
+  for (const [name, value] of [...redactedUrl.searchParams]) {
+    if (
+      name.startsWith(`${keySearchParamPrefix}header-`) &&
+      value !== 'none' &&
+      !value.startsWith('sha256-')
+    ) {
+      redactedUrl.searchParams.set(name, await hashKeyValue(value));
+    }
+  }
+
+  return redactedUrl.toString();
+}
+
+/**
+ * Reads the GraphQL operation of a request to a `graphql` endpoint.
+ *
+ * @param {Request} request the request
+ * @param {CacheConfigController} cacheConfigController the controller managing cache settings
+ * @returns {Promise<GraphQLOperation | null>} the operation, or `null` if the endpoint is not
+ * in GraphQL mode or the request is not a single GraphQL operation
+ */
+export async function getGraphQLOperation(request, cacheConfigController) {
+  const { endpointConfig } = cacheConfigController.matchEndpoint(request) ?? {};
+
+  return endpointConfig?.graphql ? readGraphQLOperation(request) : null;
+}
+
+/**
+ * Decodes the GraphQL operation of a cache entry from its cache key `Request`,
+ * which holds the canonical payload built by `buildCacheKeyRequest`.
+ * Only the operation name and persisted query hash are known of encrypted entries, whose key
+ * holds a hash of the payload.
+ *
+ * @param {Request} request the `Request` object with the modified URL
+ * @returns {GraphQLOperation | null} the operation, or `null` if the entry is not a GraphQL operation
+ */
+export function getGraphQLOperationFromCacheKey(request) {
+  const { method, body, operation, 'query-hash': queryHash } = getCacheKeyParams(request);
+
+  if (method === 'GET') {
+    return parseGraphQLSearchParams(new URL(request.url).searchParams);
+  }
+
+  if (operation || queryHash) {
+    return {
+      operationName: operation ?? null,
+      type: null,
+      query: null,
+      variables: {},
+      persistedQueryHash: queryHash ?? null,
+    };
+  }
+
+  try {
+    return parseGraphQLPayload(JSON.parse(body));
+  } catch {
+    return null;
+  }
 }
 
 /**
  * Retrieves a `Response` for a given `Request`, either from the cache or from the network.
- * If a matching configuration exists in the `cacheConfigController`, the function attempts
- * to serve a cached response. If the cache is missing or expired, it fetches a fresh response
- * and stores it in the cache.
+ * If a matching configuration exists in the `cacheConfigController`, the request is handed
+ * to the handler of its configured `strategy` (defaults to `cache-first`).
  *
  * @param {Request} request the incoming `Request` to handle
  * @param {string} cacheTimestampHeader the header name used to store the cache timestamp
  * @param {CacheConfigController} cacheConfigController the controller managing cache settings
  * @param {Cache} cache the `Cache` object used for storage and lookup
+ * @param {Object} [options]
+ * @param {(promise: Promise<unknown>) => void} [options.waitUntil] extends the lifetime of background
+ * work (e.g. `FetchEvent.waitUntil`), used by strategies that refresh the cache after responding
+ * @param {boolean} [options.isPrefetch] records the request as a `prefetch` in telemetry,
+ * instead of a hit or miss, so cache warm-ups don't skew the hit rate
+ * @param {GraphQLOperation | null} [options.graphqlOperation] the operation of a request to
+ * a `graphql` endpoint, if already read (see `getGraphQLOperation`)
+ * @param {() => void} [options.onStore] called once a fetched response has been written to the cache,
+ * e.g. to enforce storage quotas
  * @returns {Promise<Response>} a promise that resolves to a cached or freshly fetched `Response`
  * @throws {Error} if an error occurs during cache key creation or network fetch
  */
-export async function getResponse(request, cacheTimestampHeader, cacheConfigController, cache) {
-  const endpointConfig = cacheConfigController.resolveRequestSettings(request);
+export async function getResponse(
+  request,
+  cacheTimestampHeader,
+  cacheConfigController,
+  cache,
+  { waitUntil = () => {}, isPrefetch = false, graphqlOperation, onStore } = {}
+) {
+  const endpointConfig = cacheConfigController.resolveRequestSettings(
+    request,
+    undefined,
+    graphqlOperation ?? (await getGraphQLOperation(request, cacheConfigController))
+  );
   if (!endpointConfig) {
     return fetch(request);
   }
 
-  const requestCacheKey = await buildCacheKeyRequest(request, endpointConfig.keyHeaders);
-  const cachedResponse = await cache.match(requestCacheKey);
+  const strategyName = endpointConfig.strategy ?? defaultStrategy;
+  let strategy = strategies[strategyName];
+
+  if (!strategy) {
+    logger.warn('get-response', `Unknown strategy '${strategyName}', using '${defaultStrategy}'`);
+    strategy = strategies[defaultStrategy];
+  }
+
+  const resource = describeRequest(request, cacheConfigController);
+  const resourceKey = `${resource.method} ${resource.host}/${resource.endpoint}`;
+  const isMutationRequest = endpointConfig.graphqlOperation
+    ? endpointConfig.graphqlOperation.type !== 'query'
+    : isMutation(request);
+  const isQueuedMutation = !!endpointConfig.offlineQueue && isMutationRequest;
+
+  // An aborted mutation is not queued, so `cancelPrevious` would lose it instead of replaying it
+  const abortController =
+    endpointConfig.cancelPrevious && !isQueuedMutation ? new AbortController() : undefined;
+  const fetchFromNetwork = createNetworkFetcher(
+    request,
+    endpointConfig,
+    resourceKey,
+    abortController?.signal
+  );
+
+  if (isQueuedMutation) {
+    return fetchOrEnqueueMutation(request, endpointConfig, fetchFromNetwork, waitUntil);
+  }
+
+  const startedAt = performance.now();
+
+  if (strategyName === 'network-only') {
+    try {
+      const response = await runSupersedingPrevious(
+        resourceKey,
+        abortController,
+        endpointConfig,
+        () => strategy({ request, settings: endpointConfig, fetchFromNetwork })
+      );
 
-  if (cachedResponse) {
-    const currentTimestamp = Date.now();
-    const cachedTimestamp = +cachedResponse.headers.get(cacheTimestampHeader);
+      recordServedResponse(response, {
+        resource,
+        cached: undefined,
+        networkPromise: undefined,
+        latencyMs: performance.now() - startedAt,
+        isPrefetch,
+        waitUntil,
+      });
 
-    if (cachedTimestamp <= currentTimestamp) {
-      logger.log('get-response', `Serving from cache: ${request.url}`);
-      return cachedResponse;
-    } else {
+      return response;
+    } catch (error) {
+      recordCacheEvent({
+        type: isPrefetch ? 'prefetch' : 'miss',
+        ...resource,
+        latencyMs: performance.now() - startedAt,
+        failed: true,
+      });
+      throw error;
+    }
+  }
+  const requestCacheKey = await buildCacheKeyRequest(request, endpointConfig);
+
+  /** @type {CacheMatch | undefined} */
+  let cached;
+
+  /** @type {Promise<Response> | undefined} */
+  let networkPromise;
+
+  const matchCache = async () => {
+    let response = await cache.match(requestCacheKey);
+    if (!response) return;
+
+    if (isEncryptedResponse(response)) {
+      response = await decryptResponse(response).catch(error => {
+        logger.error('get-response', `Failed to decrypt ${requestCacheKey.url}: ${error}`);
+        return null;
+      });
+    } else if (endpointConfig.encrypt) {
+      // Stored before `encrypt` was enabled, the next write replaces it with an encrypted entry
+      response = null;
+    }
+
+    // Encrypted with a rotated or wiped key, corrupted, or not encrypted although it must be
+    if (!response) {
       await cache.delete(requestCacheKey);
-      logger.log('get-response', `Cache expired: ${request.method} ${request.url}`);
+      return;
     }
-  } else {
-    logger.log('get-response', `Fetching from network: ${request.method} ${request.url}`);
+
+    const freshness = evaluateFreshness(response, endpointConfig, cacheTimestampHeader);
+    if (freshness !== 'fresh') {
+      logger.log('get-response', `Cache ${freshness}: ${request.method} ${request.url}`);
+    }
+
+    waitUntil(
+      recordEntryAccess(requestCacheKey.url).catch(error =>
+        logger.warn('get-response', `Failed to index cache access: ${error}`)
+      )
+    );
+
+    cached = { response, freshness };
+    return cached;
+  };
+
+  const fetcher = () =>
+    fetchAndStoreInCache(
+      fetchFromNetwork,
+      requestCacheKey,
+      cache,
+      cacheTimestampHeader,
+      endpointConfig,
+      { onStore }
+    );
+
+  const fetchAndStore = () => {
+    if (isRequestPending(requestCacheKey.url)) {
+      recordCacheEvent({ type: 'dedup-joined', ...resource });
+    }
+
+    const responsePromise =
+      endpointConfig.debounce > 0
+        ? getDebouncedResponse(requestCacheKey.url, fetcher, endpointConfig.debounce, {
+            waitUntil,
+          })
+        : getDedupedResponse(requestCacheKey.url, fetcher, { waitUntil });
+
+    if (abortController) {
+      supersedePreviousRequest(
+        resourceKey,
+        requestCacheKey.url,
+        abortController,
+        responsePromise,
+        endpointConfig.cancelPreviousBehavior
+      );
+    }
+
+    networkPromise = responsePromise;
+    return responsePromise;
+  };
+
+  try {
+    const response = await strategy({
+      request,
+      settings: endpointConfig,
+      matchCache,
+      fetchAndStore,
+      fetchFromNetwork,
+      waitUntil,
+    });
+
+    recordServedResponse(response, {
+      resource,
+      cached,
+      networkPromise,
+      latencyMs: performance.now() - startedAt,
+      isPrefetch,
+      waitUntil,
+    });
+
+    return response;
+  } catch (error) {
+    recordCacheEvent({
+      type: isPrefetch ? 'prefetch' : 'miss',
+      ...resource,
+      latencyMs: performance.now() - startedAt,
+      failed: true,
+    });
+    throw error;
   }
+}
 
-  const response = await getDedupedResponse(requestCacheKey.url, () =>
-    fetchAndStoreInCache(request, requestCacheKey, cache, cacheTimestampHeader)
+/**
+ * Counts the requests run by `runSupersedingPrevious`, to give each its own key.
+ */
+let uncachedRequestCount = 0;
+
+/**
+ * Runs a request that skips the cache (and therefore the dedup) as the latest one of its resource,
+ * aborting the previous one under `cancelPrevious`. Since such requests are never shared, each one
+ * supersedes the previous even with the same URL. A superseded request rejects with an `AbortError`,
+ * or settles with the newer request's response under `cancelPreviousBehavior: 'latest'`.
+ *
+ * @param {string} resourceKey the resource the request targets (see `describeRequest`)
+ * @param {AbortController | undefined} abortController aborts the request, set if `cancelPrevious` is on
+ * @param {CacheSettings} settings the resolved settings of the request
+ * @param {() => Promise<Response>} run sends the request with the signal of `abortController`
+ * @returns {Promise<Response>} the response of the request, or of the one that superseded it
+ */
+function runSupersedingPrevious(resourceKey, abortController, settings, run) {
+  if (!abortController) {
+    return run();
+  }
+
+  const responsePromise = run().catch(error => {
+    const replacement = abortController.signal.aborted && getReplacementResponse(abortController);
+    if (!replacement) throw error;
+
+    return replacement.then(response => response.clone());
+  });
+
+  supersedePreviousRequest(
+    resourceKey,
+    `${resourceKey} #${++uncachedRequestCount}`,
+    abortController,
+    responsePromise,
+    settings.cancelPreviousBehavior
+  );
+
+  return responsePromise;
+}
+
+/**
+ * Reads the body size of a response from its `Content-Length` header.
+ *
+ * @param {Response} response
+ * @returns {number | undefined} the size in bytes, or `undefined` if unknown
+ */
+function getBodySize(response) {
+  const contentLength = Number(response.headers.get('content-length') ?? NaN);
+
+  return Number.isFinite(contentLength) ? contentLength : undefined;
+}
+
+/**
+ * Records how a strategy served a request: a `hit` or `stale-served` if it answered with the cached
+ * response, a `miss` otherwise. A stale entry refreshed in the background is also recorded as
+ * `revalidated` once the refresh settles.
+ *
+ * @param {Response} response the response the strategy answered with
+ * @param {Object} details
+ * @param {RequestResource} details.resource the resource the request targets
+ * @param {CacheMatch | undefined} details.cached the cache match the strategy looked up, if any
+ * @param {Promise<Response> | undefined} details.networkPromise the network request the strategy made, if any
+ * @param {number} details.latencyMs the time it took to serve the request
+ * @param {boolean} details.isPrefetch whether the request is a cache warm-up
+ * @param {(promise: Promise<unknown>) => void} details.waitUntil extends the lifetime of background work
+ */
+function recordServedResponse(
+  response,
+  { resource, cached, networkPromise, latencyMs, isPrefetch, waitUntil }
+) {
+  const isFromCache = !!cached && response === cached.response;
+  const bytes = getBodySize(response);
+
+  if (isPrefetch) {
+    const reason = isFromCache ? 'cached' : 'fetched';
+    recordCacheEvent({ type: 'prefetch', ...resource, latencyMs, bytes, reason });
+    return;
+  }
+
+  if (!isFromCache) {
+    recordCacheEvent({ type: 'miss', ...resource, latencyMs, bytes });
+    return;
+  }
+
+  const isFresh = cached.freshness === 'fresh';
+  recordCacheEvent({ type: isFresh ? 'hit' : 'stale-served', ...resource, latencyMs, bytes });
+
+  if (!isFresh && networkPromise) {
+    waitUntil(
+      networkPromise.then(
+        networkResponse =>
+          recordCacheEvent({
+            type: 'revalidated',
+            ...resource,
+            bytes: getBodySize(networkResponse),
+          }),
+        () => recordCacheEvent({ type: 'revalidated', ...resource, failed: true })
+      )
+    );
+  }
+}
+
+/**
+ * Stores a response obtained elsewhere (e.g. imported from a HAR file) as if it had just been
+ * fetched: under the cache key the active config gives its request, with tags, encryption and
+ * the entry index handled the same way.
+ *
+ * @param {Request} request the original request
+ * @param {Response} response the response to store
+ * @param {string} cacheTimestampHeader the header name used to store the cache timestamp
+ * @param {CacheConfigController} cacheConfigController the controller managing cache settings
+ * @param {Cache} cache the `Cache` object used for storage
+ * @param {{ storedAt?: number }} [options] the timestamp to store, defaults to now
+ * @returns {Promise<boolean>} `true` if the request is cached by the config and the response was stored
+ */
+export async function storeResponse(
+  request,
+  response,
+  cacheTimestampHeader,
+  cacheConfigController,
+  cache,
+  { storedAt = Date.now() } = {}
+) {
+  const settings = cacheConfigController.resolveRequestSettings(
+    request,
+    undefined,
+    await getGraphQLOperation(request, cacheConfigController)
   );
 
-  return response;
+  if (
+    !settings ||
+    settings.strategy === 'network-only' ||
+    !isCacheableResponse(response, settings.cacheIfStatusIn)
+  ) {
+    return false;
+  }
+
+  const requestCacheKey = await buildCacheKeyRequest(request, settings);
+
+  await fetchAndStoreInCache(
+    () => Promise.resolve(response),
+    requestCacheKey,
+    cache,
+    cacheTimestampHeader,
+    settings,
+    { storedAt }
+  );
+
+  return true;
+}
+
+/**
+ * Default response returned when a request is rejected because its `maxConcurrent` queue is full.
+ */
+const defaultQueueOverflowResponse = { status: 503, statusText: 'Service Unavailable' };
+
+/**
+ * Responses made up by the worker instead of the network (e.g. the `queueOverflowResponse`),
+ * which are never cached whatever `cacheIfStatusIn` allows.
+ *
+ * @type {WeakSet<Response>}
+ */
+const syntheticResponses = new WeakSet();
+
+/**
+ * Identifies the resource a `Request` targets, as its method, host and matched endpoint pattern.
+ * Requests matching no endpoint pattern (settings from the global or host level) use their own path.
+ * Used to key `cancelPrevious` and `maxConcurrent` (as `'GET https://api.example.com/users/:id'`)
+ * and to aggregate telemetry.
+ *
+ * @param {Request} request the `Request` to identify
+ * @param {CacheConfigController} cacheConfigController the controller used to resolve the endpoint pattern
+ * @returns {RequestResource} the resource
+ */
+export function describeRequest(request, cacheConfigController) {
+  const url = new URL(request.url);
+  const endpoint =
+    cacheConfigController.matchEndpoint(request)?.pattern ?? getNormalizedPathname(url);
+
+  return { host: url.origin, endpoint, method: request.method.toUpperCase() };
+}
+
+/**
+ * Creates the function sending a `Request` to the network. If `maxConcurrent` is set, requests
+ * to the same resource are capped and queued FIFO, and requests beyond `maxQueueLength`
+ * get the `queueOverflowResponse` instead.
+ *
+ * @param {Request} request the `Request` to send
+ * @param {CacheSettings} settings the resolved settings of the request
+ * @param {string} resourceKey the resource the request targets (see `describeRequest`)
+ * @param {AbortSignal} [signal] aborts the network request (used by `cancelPrevious`)
+ * @returns {() => Promise<Response>} a function fetching the request from the network
+ */
+function createNetworkFetcher(request, settings, resourceKey, signal) {
+  const { maxConcurrent, maxQueueLength, queueOverflowResponse } = settings;
+  const fetchRequest = () => fetch(request, { signal });
+
+  if (!(maxConcurrent > 0)) {
+    return fetchRequest;
+  }
+
+  return () =>
+    runWithConcurrencyLimit(resourceKey, fetchRequest, {
+      maxConcurrent,
+      maxQueueLength,
+      onOverflow: () => {
+        const { body = null, ...init } = {
+          ...defaultQueueOverflowResponse,
+          ...queueOverflowResponse,
+        };
+        const response = new Response(body, init);
+        syntheticResponses.add(response);
+        return response;
+      },
+    });
 }
 
 /**
  * Fetches a resource from the network and stores the response in the cache
  * using a provided cache key, while also tagging it with a timestamp header.
  *
- * @param {Request | string} request the request or URL to fetch
+ * @param {() => Promise<Response>} fetchFromNetwork the function fetching the request from the network
  * @param {string} requestCacheKey the cache key to use when storing the response
  * @param {Cache} cache the `Cache` object where the response will be stored
  * @param {string} cacheTimestampHeader the header name to use for storing the timestamp
+ * @param {CacheSettings} settings the resolved settings deciding whether the response may be stored
+ * @param {{ storedAt?: number, onStore?: () => void }} [options] the timestamp to store (defaults to now),
+ * and a callback run once the response has been written
  * @returns {Promise<Response>} a promise that resolves to the original network `Response`
  * @throws {TypeError} if the request or cache is invalid
  * @throws {Error} if the fetch operation fails
  */
-async function fetchAndStoreInCache(request, requestCacheKey, cache, cacheTimestampHeader) {
-  const networkResponse = await fetch(request);
+async function fetchAndStoreInCache(
+  fetchFromNetwork,
+  requestCacheKey,
+  cache,
+  cacheTimestampHeader,
+  settings,
+  { storedAt = Date.now(), onStore } = {}
+) {
+  const networkResponse = await fetchFromNetwork();
+
+  if (!isCacheableResponse(networkResponse, settings.cacheIfStatusIn)) {
+    return networkResponse;
+  }
 
-  if (!networkResponse.ok) {
-    return networkResponse; // Do not cache if response is not ok (status 2xx)
+  if (settings.graphqlOperation && (await hasGraphQLErrors(networkResponse))) {
+    logger.log('get-response', `Not caching GraphQL response with errors: ${requestCacheKey.url}`);
+    return networkResponse;
   }
 
   const clonedResponse = networkResponse.clone();
+  const tags = parseCacheTags(
+    clonedResponse.headers.get(settings.tagsHeader ?? defaultTagsHeader)
+  ).join(',');
 
-  const modifiedResponse = new Response(clonedResponse.body, {
+  // Counted while streaming into the cache, to record the entry size in the quota index
+  let size = 0;
+  const body = clonedResponse.body?.pipeThrough(
+    new TransformStream({
+      transform(chunk, controller) {
+        size += chunk.byteLength;
+        controller.enqueue(chunk);
+      },
+    })
+  );
+
+  const modifiedResponse = new Response(body, {
     status: clonedResponse.status,
     statusText: clonedResponse.statusText,
     headers: new Headers({
       ...Object.fromEntries(clonedResponse.headers),
-      [cacheTimestampHeader]: Date.now(),
+      [cacheTimestampHeader]: storedAt,
+      ...(tags && { [cacheTagsHeader]: tags }),
     }),
   });
 
-  await cache.put(requestCacheKey, modifiedResponse);
+  try {
+    await cache.put(
+      requestCacheKey,
+      settings.encrypt
+        ? await encryptResponse(modifiedResponse, [cacheTimestampHeader, cacheTagsHeader])
+        : modifiedResponse
+    );
+  } catch (error) {
+    if (error?.name !== 'QuotaExceededError') throw error;
+
+    // The response is still usable, it just isn't cached until quotas free up space
+    logger.error('get-response', `Storage quota exceeded, not caching ${requestCacheKey.url}`);
+    return networkResponse;
+  }
+
+  await recordEntryWrite(requestCacheKey.url, size).catch(error =>
+    logger.warn('get-response', `Failed to index cache entry: ${error}`)
+  );
+  onStore?.();
+
   return networkResponse;
 }
 
+/**
+ * Response header the server assigns cache tags in, when `tagsHeader` is not set.
+ */
+const defaultTagsHeader = 'x-cache-tags';
+
+/**
+ * Header of cached responses recording the entry's tags at store time, comma-separated.
+ */
+export const cacheTagsHeader = 'x-full-cache-tags';
+
+/**
+ * Parses a comma- or whitespace-separated list of cache tags.
+ *
+ * @param {string | null | undefined} value the header value
+ * @returns {string[]} the tags, empty if the header is missing
+ */
+export function parseCacheTags(value) {
+  return (value ?? '').split(/[\s,]+/).filter(Boolean);
+}
+
+/**
+ * Default status ranges eligible for caching when `cacheIfStatusIn` is not set.
+ * @type {[number, number][]}
+ */
+const defaultCacheIfStatusIn = [[200, 299]];
+
+/**
+ * Filters `cacheIfStatusIn` down to well-formed `[min, max]` ranges of integer statuses,
+ * logging a warning for every malformed range that is dropped.
+ * Falls back to the default ranges if the setting is missing, not an array, or has no valid range.
+ *
+ * @param {unknown} cacheIfStatusIn the `cacheIfStatusIn` setting to validate
+ * @returns {[number, number][]} the valid status ranges
+ */
+function getValidStatusRanges(cacheIfStatusIn) {
+  if (cacheIfStatusIn == null) {
+    return defaultCacheIfStatusIn;
+  }
+
+  if (!Array.isArray(cacheIfStatusIn)) {
+    logger.warn('utils', `Invalid cacheIfStatusIn, expected an array: ${cacheIfStatusIn}`);
+    return defaultCacheIfStatusIn;
+  }
+
+  const validRanges = cacheIfStatusIn.filter(range => {
+    const isValid =
+      Array.isArray(range) &&
+      range.length === 2 &&
+      range.every(Number.isInteger) &&
+      range[0] <= range[1];
+
+    if (!isValid) {
+      logger.warn('utils', `Ignoring malformed cacheIfStatusIn range: ${JSON.stringify(range)}`);
+    }
+
+    return isValid;
+  });
+
+  return validRanges.length ? validRanges : defaultCacheIfStatusIn;
+}
+
+/**
+ * Checks whether a network `Response` may be stored in the cache.
+ *
+ * - Responses made up by the worker (e.g. a `queueOverflowResponse`) are never stored.
+ * - Opaque responses (`no-cors`, `opaqueredirect`) are never stored, since their status can't be read.
+ * - Redirected responses are stored under the original request, based on their final status.
+ * - Otherwise, the status must fall within one of the inclusive `cacheIfStatusIn` ranges.
+ *
+ * @param {Response} response the network `Response` to check
+ * @param {[number, number][]} [cacheIfStatusIn] the configured status ranges
+ * @returns {boolean} `true` if the response should be cached
+ */
+function isCacheableResponse(response, cacheIfStatusIn) {
+  if (syntheticResponses.has(response)) {
+    return false;
+  }
+
+  if (response.type === 'opaque' || response.type === 'opaqueredirect') {
+    logger.log('utils', `Not caching opaque response: ${response.url}`);
+    return false;
+  }
+
+  if (response.redirected) {
+    logger.log('utils', `Caching redirected response under the original request: ${response.url}`);
+  }
+
+  const { status } = response;
+
+  return getValidStatusRanges(cacheIfStatusIn).some(([min, max]) => status >= min && status <= max);
+}
+
 /**
  * A utility function that debounces a given function with a default delay of 300ms.
  * This version supports TypeScript generics for better type inference.
- * The debounced function will only be called once after the last invocation.
+ * The debounced function will only be called once after the last invocation,
+ * and every call superseded in the meantime settles with the result of that invocation.
  *
  * @template T
  * @template R
@@ -210,17 +917,25 @@ async function fetchAndStoreInCache(request, requestCacheKey, cache, cacheTimest
  */
 export function debounce(fn, delayMs = 300) {
   let timerId = null;
+  let callers = [];
+
   return args => {
     if (timerId) {
       clearTimeout(timerId);
     }
     return new Promise((resolve, reject) => {
+      callers.push({ resolve, reject });
+
       timerId = setTimeout(async () => {
+        const settledCallers = callers;
+        callers = [];
+        timerId = null;
+
         try {
           const result = await fn(args);
-          resolve(result);
+          settledCallers.forEach(caller => caller.resolve(result));
         } catch (error) {
-          reject(error);
+          settledCallers.forEach(caller => caller.reject(error));
         }
       }, delayMs);
     });
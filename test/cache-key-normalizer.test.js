@@ -0,0 +1,239 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  resolveKeySettings,
+  normalizeQueryParams,
+  normalizeJsonBody,
+  normalizeFormBody,
+} from '../src/cache-key-normalizer.js';
+
+/**
+ * Normalizes a query string with every option off except the given ones.
+ *
+ * @param {string} query
+ * @param {import('../src/cache-config-store.js').CacheKeySettings} [keySettings]
+ * @returns {string}
+ */
+function query(query, keySettings) {
+  const settings = { ...allOff, includeQueryParams: true, ...keySettings };
+  return new URLSearchParams(normalizeQueryParams(new URLSearchParams(query), settings)).toString();
+}
+
+/**
+ * Normalizes a JSON body with every option off except the given ones.
+ *
+ * @param {unknown} body
+ * @param {import('../src/cache-config-store.js').CacheKeySettings} [keySettings]
+ * @returns {unknown}
+ */
+function json(body, keySettings) {
+  return JSON.parse(normalizeJsonBody(body, { ...allOff, ...keySettings }));
+}
+
+/**
+ * Serializes a JSON body with every option off except the given ones, preserving key order.
+ *
+ * @param {unknown} body
+ * @param {import('../src/cache-config-store.js').CacheKeySettings} [keySettings]
+ * @returns {string}
+ */
+function jsonText(body, keySettings) {
+  return normalizeJsonBody(body, { ...allOff, ...keySettings });
+}
+
+const allOff = Object.fromEntries(Object.keys(resolveKeySettings()).map(name => [name, false]));
+
+describe('resolveKeySettings', () => {
+  it('fills missing options with their defaults', () => {
+    const settings = resolveKeySettings({ ignoreQueryValuesCase: true });
+
+    assert.equal(settings.ignoreQueryValuesCase, true);
+    assert.equal(settings.ignoreQueryKeysOrder, true);
+    assert.equal(settings.normalizeNumericValues, false);
+    assert.equal(settings.includeRequestBody, true);
+  });
+
+  it('lets explicit options override the defaults', () => {
+    assert.equal(resolveKeySettings({ ignoreQueryKeysCase: false }).ignoreQueryKeysCase, false);
+  });
+});
+
+describe('ignoreQueryKeysOrder', () => {
+  it('sorts query params by key when on', () => {
+    assert.equal(query('b=2&a=1', { ignoreQueryKeysOrder: true }), 'a=1&b=2');
+  });
+
+  it('keeps the relative order of repeated keys', () => {
+    assert.equal(query('b=2&a=3&b=1', { ignoreQueryKeysOrder: true }), 'a=3&b=2&b=1');
+  });
+
+  it('keeps the original order when off', () => {
+    assert.equal(query('b=2&a=1'), 'b=2&a=1');
+  });
+});
+
+describe('ignoreBodyKeysOrder', () => {
+  it('sorts top-level keys only', () => {
+    assert.equal(
+      jsonText({ b: 1, a: { d: 1, c: 2 } }, { ignoreBodyKeysOrder: true }),
+      '{"a":{"d":1,"c":2},"b":1}'
+    );
+  });
+
+  it('sorts form fields', () => {
+    assert.equal(normalizeFormBody('b=2&a=1', { ...allOff, ignoreBodyKeysOrder: true }), 'a=1&b=2');
+  });
+
+  it('keeps the original order when off', () => {
+    assert.equal(jsonText({ b: 1, a: 2 }), '{"b":1,"a":2}');
+  });
+});
+
+describe('ignoreBodyKeysOrderRecursively', () => {
+  it('sorts keys at any depth', () => {
+    assert.equal(
+      jsonText(
+        { b: 1, a: { d: [{ f: 1, e: 2 }], c: 2 } },
+        { ignoreBodyKeysOrderRecursively: true }
+      ),
+      '{"a":{"c":2,"d":[{"e":2,"f":1}]},"b":1}'
+    );
+  });
+});
+
+describe('ignoreArraysOrder', () => {
+  it('sorts array items', () => {
+    assert.deepEqual(json({ ids: [3, 1, 2] }, { ignoreArraysOrder: true }), { ids: [1, 2, 3] });
+  });
+
+  it('sorts the values of repeated query params, keeping the position of their key', () => {
+    assert.equal(query('id=3&x=0&id=1', { ignoreArraysOrder: true }), 'id=1&x=0&id=3');
+  });
+
+  it('keeps the original order when off', () => {
+    assert.deepEqual(json({ ids: [3, 1, 2] }), { ids: [3, 1, 2] });
+  });
+});
+
+describe('ignoreQueryKeysCase', () => {
+  it('lowercases query keys when on', () => {
+    assert.equal(query('TenantId=A', { ignoreQueryKeysCase: true }), 'tenantid=A');
+  });
+
+  it('keeps the case when off', () => {
+    assert.equal(query('TenantId=A'), 'TenantId=A');
+  });
+});
+
+describe('ignoreBodyKeysCase', () => {
+  it('lowercases body keys at any depth', () => {
+    assert.deepEqual(json({ UserId: 1, Nested: { Key: 'V' } }, { ignoreBodyKeysCase: true }), {
+      userid: 1,
+      nested: { key: 'V' },
+    });
+  });
+
+  it('keeps the case when off', () => {
+    assert.deepEqual(json({ UserId: 1 }), { UserId: 1 });
+  });
+});
+
+describe('ignoreQueryValuesCase', () => {
+  it('lowercases query values when on', () => {
+    assert.equal(query('q=Shoes', { ignoreQueryValuesCase: true }), 'q=shoes');
+  });
+
+  it('keeps the case when off', () => {
+    assert.equal(query('q=Shoes'), 'q=Shoes');
+  });
+});
+
+describe('ignoreBodyValuesCase', () => {
+  it('lowercases string values only', () => {
+    assert.deepEqual(json({ q: 'Shoes', n: 1, list: ['A'] }, { ignoreBodyValuesCase: true }), {
+      q: 'shoes',
+      n: 1,
+      list: ['a'],
+    });
+  });
+
+  it('keeps the case when off', () => {
+    assert.deepEqual(json({ q: 'Shoes' }), { q: 'Shoes' });
+  });
+});
+
+describe('normalizeNumericValues', () => {
+  it('canonicalizes numeric strings', () => {
+    assert.equal(
+      query('a=10.0&b=-.5&c=1e3', { normalizeNumericValues: true }),
+      'a=10&b=-0.5&c=1000'
+    );
+    assert.deepEqual(json({ price: '10.50' }, { normalizeNumericValues: true }), { price: '10.5' });
+  });
+
+  it('leaves numbers beyond the safe integer range untouched', () => {
+    assert.equal(
+      query('id=12345678901234567890', { normalizeNumericValues: true }),
+      'id=12345678901234567890'
+    );
+  });
+
+  it('keeps numeric strings as-is when off', () => {
+    assert.equal(query('a=10.0'), 'a=10.0');
+  });
+});
+
+describe('trimStringValues', () => {
+  it('trims query and body values', () => {
+    assert.equal(query('q=+shoes+', { trimStringValues: true }), 'q=shoes');
+    assert.deepEqual(json({ q: ' shoes ' }, { trimStringValues: true }), { q: 'shoes' });
+  });
+
+  it('keeps whitespace when off', () => {
+    assert.deepEqual(json({ q: ' shoes ' }), { q: ' shoes ' });
+  });
+});
+
+describe('ignoreNullishQueryParams', () => {
+  it('drops empty, null and undefined query params', () => {
+    assert.equal(query('a=&b=null&c=undefined&d=1', { ignoreNullishQueryParams: true }), 'd=1');
+  });
+
+  it('keeps them when off', () => {
+    assert.equal(query('a=&d=1'), 'a=&d=1');
+  });
+});
+
+describe('ignoreNullishBodyKeys', () => {
+  it('drops nullish top-level keys only', () => {
+    assert.deepEqual(json({ a: null, b: '', c: { d: null } }, { ignoreNullishBodyKeys: true }), {
+      c: { d: null },
+    });
+  });
+
+  it('keeps them when off', () => {
+    assert.deepEqual(json({ a: null }), { a: null });
+  });
+});
+
+describe('ignoreNullishBodyKeysRecursively', () => {
+  it('drops nullish keys at any depth', () => {
+    assert.deepEqual(
+      json({ a: null, c: { d: null, e: 1 } }, { ignoreNullishBodyKeysRecursively: true }),
+      { c: { e: 1 } }
+    );
+  });
+
+  it('drops nullish form fields', () => {
+    assert.equal(
+      normalizeFormBody('a=&b=1', { ...allOff, ignoreNullishBodyKeysRecursively: true }),
+      'b=1'
+    );
+  });
+});
+
+describe('includeQueryParams', () => {
+  it('drops all query params when off', () => {
+    assert.deepEqual(normalizeQueryParams(new URLSearchParams('a=1'), allOff), []);
+  });
+});
@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+// The worker modules open `BroadcastChannel`s on load, which would keep the test process alive,
+// and index stored entries in IndexedDB, which Node lacks. Both are stubbed before importing them
+globalThis.BroadcastChannel = class extends EventTarget {
+  postMessage() {}
+  close() {}
+};
+
+/** Completes every transaction without storing anything, since no test reads the entry index */
+globalThis.indexedDB = {
+  open() {
+    const db = {
+      transaction() {
+        const tx = { objectStore: () => new Proxy({}, { get: () => () => ({}) }) };
+        setTimeout(() => tx.oncomplete());
+        return tx;
+      },
+      close() {},
+    };
+    const request = { result: db };
+    setTimeout(() => request.onsuccess());
+    return request;
+  },
+};
+
+const { CacheConfigStore } = await import('../src/cache-config-store.js');
+const { storeResponse, revertCacheKeyRequest, getCacheKeyParams, redactCacheKeyUrl } =
+  await import('../src/utils.js');
+const { hashKeyValue } = await import('../src/cache-encryption.js');
+
+const host = 'https://api.example.com';
+
+/**
+ * Stores a response for a request under the given endpoint settings, and returns its cache key.
+ *
+ * @param {Request} request
+ * @param {import('../src/cache-config-store.js').CacheSettings} settings
+ * @returns {Promise<Request>}
+ */
+async function getCacheKey(request, settings) {
+  const configStore = new CacheConfigStore();
+  await configStore.set({ hosts: { [host]: { endpoints: { '/items': { settings } } } } });
+
+  /** @type {Request[]} */
+  const keys = [];
+  const cache = /** @type {Cache} */ ({ put: async key => void keys.push(key) });
+
+  await storeResponse(request, new Response('[]'), 'x-cache-timestamp', configStore, cache);
+
+  return keys[0];
+}
+
+describe('cache keys', () => {
+  it('share an entry between requests only differing in ignored ways', async () => {
+    const a = await getCacheKey(new Request(`${host}/items?TenantId=A&b=`), { ttl: 1000 });
+    const b = await getCacheKey(new Request(`${host}/items?tenantid=A`), { ttl: 1000 });
+
+    assert.equal(a.url, b.url);
+  });
+
+  it('include the body unless includeRequestBody is off', async () => {
+    const post = () =>
+      new Request(`${host}/items`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: '{"b":1,"a":2}',
+      });
+
+    assert.equal(getCacheKeyParams(await getCacheKey(post(), { ttl: 1000 })).body, '{"a":2,"b":1}');
+    assert.equal(
+      getCacheKeyParams(
+        await getCacheKey(post(), { ttl: 1000, key: { includeRequestBody: false } })
+      ).body,
+      'none'
+    );
+  });
+});
+
+describe('revertCacheKeyRequest', () => {
+  it('restores the original URL, including the query the key normalized', async () => {
+    const url = `${host}/items?TenantId=A&b=`;
+    const key = await getCacheKey(new Request(url), { ttl: 1000 });
+    const request = revertCacheKeyRequest(key);
+
+    assert.equal(request.url, url);
+    assert.equal(request.method, 'GET');
+    assert.equal([...request.headers].length, 0);
+  });
+
+  it('restores the original method', async () => {
+    const key = await getCacheKey(new Request(`${host}/items`, { method: 'POST', body: 'x' }), {
+      ttl: 1000,
+    });
+
+    assert.equal(revertCacheKeyRequest(key).method, 'POST');
+  });
+
+  it('strips the key params of keys rebuilt from their URL', () => {
+    const request = revertCacheKeyRequest(
+      new Request(`${host}/items?a=1&__body=none&__method=GET`)
+    );
+
+    assert.equal(request.url, `${host}/items?a=1`);
+  });
+});
+
+describe('hashKeyValue', () => {
+  it('hashes values deterministically, without keeping them in plaintext', async () => {
+    const hash = await hashKeyValue('Bearer secret');
+
+    assert.match(hash, /^sha256-[0-9a-f]{64}$/);
+    assert.equal(await hashKeyValue('Bearer secret'), hash);
+    assert.notEqual(await hashKeyValue('Bearer other'), hash);
+  });
+});
+
+describe('redactCacheKeyUrl', () => {
+  it('hashes key header values, keeping the rest of the key', async () => {
+    const url = `${host}/items?a=1&__body=none&__method=GET&__header-authorization=Bearer+secret`;
+    const redacted = await redactCacheKeyUrl(url);
+    const params = getCacheKeyParams(new Request(redacted));
+
+    assert.equal(params['header-authorization'], await hashKeyValue('Bearer secret'));
+    assert.equal(params.body, 'none');
+    assert.equal(new URL(redacted).searchParams.get('a'), '1');
+    assert.equal(await redactCacheKeyUrl(redacted), redacted);
+  });
+
+  it('keeps keys without header values as they are', async () => {
+    const url = `${host}/items?__body=none&__method=GET&__header-authorization=none`;
+
+    assert.equal(await redactCacheKeyUrl(url), url);
+  });
+});
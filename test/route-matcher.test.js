@@ -0,0 +1,44 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileRoutes, matchRoute } from '../src/route-matcher.js';
+
+/**
+ * Matches a pathname against the given patterns, and returns the winning pattern.
+ *
+ * @param {string[]} patterns
+ * @param {string} pathname the pathname without leading or trailing slashes
+ * @returns {string | undefined}
+ */
+function match(patterns, pathname) {
+  return matchRoute(compileRoutes(patterns), pathname)?.pattern;
+}
+
+describe('matchRoute', () => {
+  it('prefers an exact literal match over an optional tail', () => {
+    assert.equal(match(['/users/:id?', '/users'], 'users'), '/users');
+    assert.equal(match(['/users/:id?', '/users'], 'users/42'), '/users/:id?');
+  });
+
+  it('prefers an exact literal match over a globstar tail', () => {
+    assert.equal(match(['/users/**', '/users'], 'users'), '/users');
+    assert.equal(match(['/users/**', '/users'], 'users/42/posts'), '/users/**');
+  });
+
+  it('prefers literals over params, wildcards and globstars at the same position', () => {
+    const patterns = ['/**', '/users/*', '/users/:id', '/users/me'];
+
+    assert.equal(match(patterns, 'users/me'), '/users/me');
+    assert.equal(match(patterns, 'users/42'), '/users/:id');
+    assert.equal(match(patterns, 'orders'), '/**');
+  });
+
+  it('prefers a required param over an optional one', () => {
+    assert.equal(match(['/users/:id?', '/users/:id'], 'users/42'), '/users/:id');
+  });
+
+  it('decodes params', () => {
+    assert.deepEqual(matchRoute(compileRoutes(['/files/:name']), 'files/a%20b')?.params, {
+      name: 'a b',
+    });
+  });
+});